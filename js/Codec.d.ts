@@ -0,0 +1,36 @@
+/**
+ * Compress a string with deflate
+ */
+export declare function deflate(text: string): Promise<Uint8Array>;
+/**
+ * Decompress a string compressed with deflate()
+ */
+export declare function inflate(bytes: Uint8Array): Promise<string>;
+/**
+ * The Codec class holds the wire format agreed with a peer, and the state needed to encode messages in it.
+ * With 'compact', the uuid of synced objects and the segments of paths are sent in full once,
+ *    then replaced by a short id, and synced objects are not encoded as a string inside the message.
+ * With 'deflate', large messages are compressed.
+ * Both sides of a connection keep their own tables, which relies on the messages being delivered in order.
+ */
+export declare class Codec {
+    #private;
+    compact: boolean;
+    deflate: boolean;
+    /**
+     * Returns the given message in the compact form when it has one
+     */
+    encode(data: any): any;
+    /**
+     * Returns the given message in its usual form, throws if it cannot be decoded
+     */
+    decode(data: any): any;
+    /**
+     * Returns the compressed form of a message, as bytes for binary connections and base64 otherwise
+     */
+    compress(data: any, binary: boolean): Promise<any>;
+    /**
+     * Returns the message compressed by compress()
+     */
+    decompress(data: any): Promise<any>;
+}
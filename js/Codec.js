@@ -0,0 +1,146 @@
+import { fromBase64, toBase64 } from "./Transfer.js";
+/**
+ * Most entries kept in the tables of a codec, further uuids and path segments are sent in full
+ */
+const tableLimit = 4096;
+/**
+ * Fields of the sync messages and their short name in the compact form
+ */
+const syncFields = [['seq', 's'], ['base', 'b'], ['version', 'n'], ['origin', 'g'], ['ack', 'a'], ['merged', 'm'], ['clock', 'k']];
+/**
+ * Compress a string with deflate
+ */
+export async function deflate(text) {
+    let stream = new Blob([text]).stream().pipeThrough(new globalThis.CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+/**
+ * Decompress a string compressed with deflate()
+ */
+export async function inflate(bytes) {
+    let stream = new Blob([bytes]).stream().pipeThrough(new globalThis.DecompressionStream('deflate'));
+    return await new Response(stream).text();
+}
+/**
+ * The Codec class holds the wire format agreed with a peer, and the state needed to encode messages in it.
+ * With 'compact', the uuid of synced objects and the segments of paths are sent in full once,
+ *    then replaced by a short id, and synced objects are not encoded as a string inside the message.
+ * With 'deflate', large messages are compressed.
+ * Both sides of a connection keep their own tables, which relies on the messages being delivered in order.
+ */
+export class Codec {
+    compact = false;
+    deflate = false;
+    #outgoing = new Map();
+    #incoming = [];
+    /**
+     * Returns the id of a string already sent, or the string itself, to be given an id by the peer
+     */
+    #ref(value) {
+        let id = this.#outgoing.get(value);
+        if (id !== undefined)
+            return id;
+        if (this.#outgoing.size < tableLimit)
+            this.#outgoing.set(value, this.#outgoing.size);
+        return value;
+    }
+    /**
+     * Returns the string referred to by #ref()
+     */
+    #deref(ref) {
+        if (typeof ref === 'string') {
+            if (this.#incoming.length < tableLimit)
+                this.#incoming.push(ref);
+            return ref;
+        }
+        if (!Number.isInteger(ref) || ref < 0 || ref >= this.#incoming.length)
+            throw `Unknown reference ${ref}`;
+        return this.#incoming[ref];
+    }
+    /**
+     * Numbers, as array indices, are sent as negative integers to tell them from references
+     */
+    #encodePath(path) {
+        return path.map(segment => typeof segment === 'number' ? -segment - 1 : this.#ref(String(segment)));
+    }
+    #decodePath(path) {
+        if (!Array.isArray(path))
+            throw 'Invalid path';
+        return path.map(segment => Number.isInteger(segment) && segment < 0 ? -segment - 1 : this.#deref(segment));
+    }
+    /**
+     * Returns the given message in the compact form when it has one
+     */
+    encode(data) {
+        if (!this.compact || typeof data !== 'object' || data === null)
+            return data;
+        let message;
+        if (data.evt === 'Network$CHANGESYNC') {
+            message = { evt: 'Network$C', u: this.#ref(data.uuid), p: this.#encodePath(data.path), v: data.value };
+            if (data.operation && data.operation.type !== 'set')
+                message.o = data.operation;
+        }
+        else if (data.evt === 'Network$BATCHSYNC') {
+            message = {
+                evt: 'Network$B',
+                u: this.#ref(data.uuid),
+                c: data.changes.map(({ path, value, operation }) => operation && operation.type !== 'set' ? [this.#encodePath(path), value, operation] : [this.#encodePath(path), value])
+            };
+        }
+        else if (data.evt === 'Network$NEWSYNC')
+            return { evt: 'Network$N', u: this.#ref(data.uuid), o: JSON.parse(data.object), n: data.version, t: data.stamps };
+        else
+            return data;
+        for (let [field, short] of syncFields)
+            if (data[field] !== undefined)
+                message[short] = data[field];
+        return message;
+    }
+    /**
+     * Returns the given message in its usual form, throws if it cannot be decoded
+     */
+    decode(data) {
+        if (typeof data !== 'object' || data === null)
+            return data;
+        let message;
+        if (data.evt === 'Network$C')
+            message = { evt: 'Network$CHANGESYNC', uuid: this.#deref(data.u), path: this.#decodePath(data.p), value: data.v, operation: data.o ?? { type: 'set' } };
+        else if (data.evt === 'Network$B') {
+            if (!Array.isArray(data.c))
+                throw 'Invalid changes';
+            message = {
+                evt: 'Network$BATCHSYNC',
+                uuid: this.#deref(data.u),
+                changes: data.c.map((change) => {
+                    if (!Array.isArray(change))
+                        throw 'Invalid change';
+                    return { path: this.#decodePath(change[0]), value: change[1], operation: change[2] ?? { type: 'set' } };
+                })
+            };
+        }
+        else if (data.evt === 'Network$N')
+            return { evt: 'Network$NEWSYNC', uuid: this.#deref(data.u), object: data.o, version: data.n, stamps: data.t };
+        else
+            return data;
+        for (let [field, short] of syncFields)
+            if (data[short] !== undefined)
+                message[field] = data[short];
+        return message;
+    }
+    /**
+     * Returns the compressed form of a message, as bytes for binary connections and base64 otherwise
+     */
+    async compress(data, binary) {
+        let bytes = await deflate(JSON.stringify(data));
+        return { evt: 'Network$DEFLATE', data: binary ? bytes : toBase64(bytes) };
+    }
+    /**
+     * Returns the message compressed by compress()
+     */
+    async decompress(data) {
+        let bytes = typeof data.data === 'string' ? fromBase64(data.data) : data.data instanceof ArrayBuffer ? new Uint8Array(data.data) : data.data;
+        if (!(bytes instanceof Uint8Array))
+            throw 'Invalid compressed message';
+        return JSON.parse(await inflate(bytes));
+    }
+}
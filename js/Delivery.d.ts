@@ -0,0 +1,40 @@
+/**
+ * How a message sent with a delivery class reaches the remote peer:
+ * - 'reliable-ordered' messages are acknowledged, sent again until they are, and handled in the order they were sent
+ * - 'reliable-unordered' messages are acknowledged and sent again, but handled as soon as they arrive
+ * - 'unreliable-sequenced' messages may be lost, and are dropped when a more recent one has already been handled
+ */
+export type DeliveryClass = 'reliable-ordered' | 'reliable-unordered' | 'unreliable-sequenced';
+/**
+ * The Delivery class numbers the messages sent with a delivery class, and keeps the state needed
+ *    to acknowledge, send again, reorder and deduplicate them.
+ * Each side of a connection has its own, both are lost with the connection.
+ */
+export declare class Delivery {
+    #private;
+    unacknowledged: Map<string, {
+        packet: any;
+        sentAt: number;
+        attempts: number;
+    }>;
+    /**
+     * Returns the packet carrying the given message, kept until acknowledged when it is reliable
+     */
+    wrap(data: any, delivery: DeliveryClass): any;
+    /**
+     * Returns the messages of a received packet to handle now, which may include held ones or none at all
+     */
+    receive(packet: any): any[];
+    /**
+     * Returns the acknowledgement of the packets received since the last one, or null if there is none
+     */
+    takeAcks(): any;
+    /**
+     * Forget the packets acknowledged by the remote peer
+     */
+    acknowledge(ack: any): void;
+    /**
+     * Returns the packets which have not been acknowledged within the given delay, to be sent again
+     */
+    due(delay: number, now?: number): any[];
+}
@@ -0,0 +1,45 @@
+import type { PeerJSOption } from "peerjs";
+import { Transport, TransportConnection, TransportPeer } from "./Transport.js";
+/**
+ * A host as advertised to a directory
+ */
+export interface DirectoryEntry {
+    id: string;
+    name: string;
+    players: number;
+    maxClient: number;
+    acceptConnections: boolean;
+    metadata: any;
+}
+/**
+ * The Directory class is a well-known peer hosts register with, so that clients can find them.
+ * Hosts advertise themselves every second using network.advertise(), entries are dropped
+ *    when their host stops doing so for this.timeout ms, clients query the list using network.listHosts().
+ * Started with the options of a local PeerServer, it works entirely offline.
+ */
+export declare class Directory {
+    #private;
+    transport: Transport | null;
+    peer: TransportPeer | null;
+    id: string | null;
+    entries: Map<string, {
+        entry: DirectoryEntry;
+        connection: TransportConnection;
+        lastSeen: number;
+    }>;
+    timeout: number;
+    intervalID: ReturnType<typeof setInterval> | null;
+    constructor(transport?: Transport | null);
+    /**
+     * Register the directory under the given id, resolves once it can be reached
+     */
+    start(id: string, options?: PeerJSOption): Promise<void>;
+    /**
+     * Forget every host and release the id of the directory
+     */
+    stop(): void;
+    /**
+     * Returns the hosts currently advertised
+     */
+    list(): DirectoryEntry[];
+}
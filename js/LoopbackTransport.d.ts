@@ -0,0 +1,95 @@
+import { Transport, TransportCallOption, TransportConnection, TransportConnectOption, TransportMediaConnection, TransportPeer } from "./Transport.js";
+/**
+ * Minimal event emitter shared by the loopback peers and connections
+ */
+declare class LoopbackEmitter {
+    #private;
+    on(event: string, callback: (...args: any[]) => void): this;
+    emit(event: string, ...args: any[]): void;
+}
+export interface LoopbackTransportOptions {
+    /**
+     * Delay in ms applied to every message going through the transport
+     */
+    latency?: number;
+    /**
+     * Probability between 0 and 1 for any sent data to be lost
+     */
+    loss?: number;
+}
+/**
+ * The LoopbackTransport class is an in-memory signaling server.
+ * Every Network using the same LoopbackTransport can reach each other inside the same process,
+ *    without any signaling server nor WebRTC, which makes it suitable for tests and Node.
+ */
+export declare class LoopbackTransport implements Transport {
+    latency: number;
+    loss: number;
+    peers: Map<string, LoopbackPeer>;
+    constructor({ latency, loss }?: LoopbackTransportOptions);
+    /**
+     * Create a new peer registering itself under the given id
+     */
+    createPeer(id: string): LoopbackPeer;
+    /**
+     * Run the given callback once the transport latency has elapsed
+     */
+    deliver(callback: () => void): void;
+    /**
+     * Returns true if the next message should be dropped
+     */
+    drop(): boolean;
+}
+export declare class LoopbackPeer extends LoopbackEmitter implements TransportPeer {
+    #private;
+    id: string;
+    transport: LoopbackTransport;
+    disconnected: boolean;
+    destroyed: boolean;
+    connections: Set<LoopbackConnection>;
+    calls: Set<LoopbackMediaConnection>;
+    constructor(id: string, transport: LoopbackTransport);
+    connect(id: string, options?: TransportConnectOption): LoopbackConnection;
+    /**
+     * Call another peer, the stream is handed as is to the remote peer once it answers
+     */
+    call(id: string, stream: MediaStream, options?: TransportCallOption): LoopbackMediaConnection;
+    /**
+     * Leave the signaling server, keeping the opened connections
+     */
+    disconnect(): void;
+    reconnect(): void;
+    destroy(): void;
+}
+export declare class LoopbackConnection extends LoopbackEmitter implements TransportConnection {
+    #private;
+    peer: string;
+    metadata: any;
+    serialization: string;
+    provider: LoopbackPeer;
+    remote: LoopbackConnection | null;
+    open: boolean;
+    closed: boolean;
+    constructor(peer: string, metadata: any, serialization: string, provider: LoopbackPeer);
+    /**
+     * Link both ends of the connection and open them
+     */
+    establish(remote: LoopbackConnection): void;
+    send(data: any): void;
+    close(): void;
+}
+export declare class LoopbackMediaConnection extends LoopbackEmitter implements TransportMediaConnection {
+    #private;
+    peer: string;
+    metadata: any;
+    provider: LoopbackPeer;
+    localStream: MediaStream | null;
+    remoteStream: MediaStream | null;
+    remote: LoopbackMediaConnection | null;
+    open: boolean;
+    closed: boolean;
+    constructor(peer: string, metadata: any, localStream: MediaStream | null, provider: LoopbackPeer);
+    answer(stream?: MediaStream): void;
+    close(): void;
+}
+export {};
@@ -0,0 +1,249 @@
+/**
+ * Builds an error carrying a PeerJS like type
+ */
+function transportError(type, message) {
+    return Object.assign(new Error(message), { type });
+}
+/**
+ * Minimal event emitter shared by the loopback peers and connections
+ */
+class LoopbackEmitter {
+    #listeners = new Map();
+    on(event, callback) {
+        if (!this.#listeners.has(event))
+            this.#listeners.set(event, []);
+        this.#listeners.get(event)?.push(callback);
+        return this;
+    }
+    emit(event, ...args) {
+        for (let callback of this.#listeners.get(event) ?? [])
+            callback(...args);
+    }
+}
+/**
+ * The LoopbackTransport class is an in-memory signaling server.
+ * Every Network using the same LoopbackTransport can reach each other inside the same process,
+ *    without any signaling server nor WebRTC, which makes it suitable for tests and Node.
+ */
+export class LoopbackTransport {
+    latency;
+    loss;
+    peers = new Map();
+    constructor({ latency = 0, loss = 0 } = {}) {
+        this.latency = latency;
+        this.loss = loss;
+    }
+    /**
+     * Create a new peer registering itself under the given id
+     */
+    createPeer(id) {
+        return new LoopbackPeer(id, this);
+    }
+    /**
+     * Run the given callback once the transport latency has elapsed
+     */
+    deliver(callback) {
+        setTimeout(callback, this.latency);
+    }
+    /**
+     * Returns true if the next message should be dropped
+     */
+    drop() {
+        return Math.random() < this.loss;
+    }
+}
+export class LoopbackPeer extends LoopbackEmitter {
+    id;
+    transport;
+    disconnected = true;
+    destroyed = false;
+    connections = new Set();
+    calls = new Set();
+    constructor(id, transport) {
+        super();
+        this.id = id || crypto.randomUUID();
+        this.transport = transport;
+        this.transport.deliver(this.#register.bind(this));
+    }
+    #register() {
+        if (this.destroyed)
+            return;
+        let owner = this.transport.peers.get(this.id);
+        if (owner && owner !== this) {
+            this.emit('error', transportError('unavailable-id', `ID "${this.id}" is taken`));
+            return;
+        }
+        this.transport.peers.set(this.id, this);
+        this.disconnected = false;
+        this.emit('open', this.id);
+    }
+    connect(id, options = {}) {
+        let connection = new LoopbackConnection(id, options.metadata, options.serialization ?? 'json', this);
+        this.transport.deliver(() => {
+            let target = this.transport.peers.get(id);
+            if (!target || target.disconnected) {
+                this.emit('error', transportError('peer-unavailable', `Could not connect to peer ${id}`));
+                return;
+            }
+            let remote = new LoopbackConnection(this.id, options.metadata, connection.serialization, target);
+            target.emit('connection', remote);
+            this.transport.deliver(() => connection.establish(remote));
+        });
+        return connection;
+    }
+    /**
+     * Call another peer, the stream is handed as is to the remote peer once it answers
+     */
+    call(id, stream, options = {}) {
+        let call = new LoopbackMediaConnection(id, options.metadata, stream, this);
+        this.transport.deliver(() => {
+            let target = this.transport.peers.get(id);
+            if (!target || target.disconnected) {
+                this.emit('error', transportError('peer-unavailable', `Could not connect to peer ${id}`));
+                call.close();
+                return;
+            }
+            let remote = new LoopbackMediaConnection(this.id, options.metadata, null, target);
+            remote.remote = call;
+            call.remote = remote;
+            target.emit('call', remote);
+        });
+        return call;
+    }
+    /**
+     * Leave the signaling server, keeping the opened connections
+     */
+    disconnect() {
+        if (this.disconnected)
+            return;
+        this.disconnected = true;
+        if (this.transport.peers.get(this.id) === this)
+            this.transport.peers.delete(this.id);
+        this.emit('disconnected', this.id);
+    }
+    reconnect() {
+        if (this.disconnected && !this.destroyed)
+            this.transport.deliver(this.#register.bind(this));
+    }
+    destroy() {
+        if (this.destroyed)
+            return;
+        for (let connection of [...this.connections])
+            connection.close();
+        for (let call of [...this.calls])
+            call.close();
+        this.disconnect();
+        this.destroyed = true;
+        this.emit('close');
+    }
+}
+export class LoopbackConnection extends LoopbackEmitter {
+    peer;
+    metadata;
+    serialization;
+    provider;
+    remote = null;
+    open = false;
+    closed = false;
+    constructor(peer, metadata, serialization, provider) {
+        super();
+        this.peer = peer;
+        this.metadata = metadata;
+        this.serialization = serialization;
+        this.provider = provider;
+        this.provider.connections.add(this);
+    }
+    /**
+     * Link both ends of the connection and open them
+     */
+    establish(remote) {
+        if (this.closed || remote.closed) {
+            this.#shutdown();
+            remote.#shutdown();
+            return;
+        }
+        this.remote = remote;
+        remote.remote = this;
+        this.open = remote.open = true;
+        remote.emit('open');
+        this.emit('open');
+    }
+    send(data) {
+        let remote = this.remote;
+        if (!this.open || !remote || this.provider.transport.drop())
+            return;
+        // Mimics the serialization of a PeerJS data channel, only binary ones carry bytes as is
+        let payload = data === undefined ? undefined :
+            this.serialization === 'binary' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+        this.provider.transport.deliver(() => { if (remote.open)
+            remote.emit('data', payload); });
+    }
+    close() {
+        let remote = this.remote;
+        this.#shutdown();
+        if (remote)
+            this.provider.transport.deliver(() => remote.#shutdown());
+    }
+    #shutdown() {
+        if (this.closed)
+            return;
+        let wasOpen = this.open;
+        this.open = false;
+        this.closed = true;
+        this.provider.connections.delete(this);
+        if (wasOpen)
+            this.emit('close');
+    }
+}
+export class LoopbackMediaConnection extends LoopbackEmitter {
+    peer;
+    metadata;
+    provider;
+    localStream;
+    remoteStream = null;
+    remote = null;
+    open = false;
+    closed = false;
+    constructor(peer, metadata, localStream, provider) {
+        super();
+        this.peer = peer;
+        this.metadata = metadata;
+        this.localStream = localStream;
+        this.provider = provider;
+        this.provider.calls.add(this);
+    }
+    answer(stream) {
+        let remote = this.remote;
+        if (this.open || this.closed || !remote)
+            return;
+        this.localStream = stream ?? null;
+        this.provider.transport.deliver(() => {
+            if (this.closed || remote.closed)
+                return;
+            this.open = remote.open = true;
+            // As with WebRTC, a side only receives a stream if the other one sends any
+            if (remote.localStream)
+                this.#receive(remote.localStream);
+            if (this.localStream)
+                remote.#receive(this.localStream);
+        });
+    }
+    #receive(stream) {
+        this.remoteStream = stream;
+        this.emit('stream', stream);
+    }
+    close() {
+        let remote = this.remote;
+        this.#shutdown();
+        if (remote)
+            this.provider.transport.deliver(() => remote.#shutdown());
+    }
+    #shutdown() {
+        if (this.closed)
+            return;
+        this.open = false;
+        this.closed = true;
+        this.provider.calls.delete(this);
+        this.emit('close');
+    }
+}
@@ -1,6 +1,186 @@
-import { Peer, DataConnection, PeerJSOption } from "peerjs";
-export declare function proxyfy<T extends object>(object: T, onchange: (root: any, path: (string | symbol)[], value: any) => void, root?: any, path?: (string | symbol)[]): T;
+import type { PeerJSOption } from "peerjs";
+import { Transport, TransportConnection, TransportMediaConnection, TransportPeer } from "./Transport.js";
+import { Transfer } from "./Transfer.js";
+import { DirectoryEntry } from "./Directory.js";
+import { Schema } from "./Schema.js";
+import type { Simulation } from "./Simulation.js";
+import { Codec } from "./Codec.js";
+import { Delivery, DeliveryClass } from "./Delivery.js";
+import { NetworkSnapshot, SnapshotStorage } from "./Storage.js";
+import type { Recorder } from "./Recorder.js";
+export * from "./Transport.js";
+export * from "./LoopbackTransport.js";
+export { Transfer } from "./Transfer.js";
+export * from "./Directory.js";
+export * from "./Schema.js";
+export * from "./Simulation.js";
+export { Codec } from "./Codec.js";
+export * from "./Delivery.js";
+export * from "./Storage.js";
+export * from "./Recorder.js";
+/**
+ * Describes how a synced object has been modified at a given path.
+ * 'set' and 'delete' target the property at the path, the others target the array at the path.
+ */
+export type SyncOperation = {
+    type: 'set';
+} | {
+    type: 'delete';
+} | {
+    type: 'insert';
+    index: number;
+} | {
+    type: 'remove';
+    index: number;
+    count: number;
+} | {
+    type: 'splice';
+    index: number;
+    count: number;
+} | {
+    type: 'move';
+    from: number;
+    to: number;
+};
+/**
+ * Called with the value set, undefined when deleted, the inserted or removed items, the items replacing the removed ones
+ *    for a splice or the moved item, followed by the replaced value or the items removed by a splice
+ */
+export type SyncChangeCallback = (root: any, path: (string | symbol)[], value: any, operation: SyncOperation, previous?: any) => void;
+export declare function proxyfy<T extends object>(object: T, onchange: SyncChangeCallback, root?: any, path?: (string | symbol)[]): T;
 export declare function unproxyfy<T extends object>(proxy: T): T | null;
+/**
+ * Move an item of an array from one index to another.
+ * When used on a proxyfied array, it is reported as a single 'move' operation.
+ */
+export declare function moveItem(array: any[], from: number, to: number): void;
+/**
+ * Apply a change reported by a proxyfied object onto the matching raw object
+ */
+export declare function applyChange(object: any, path: (string | symbol)[], value: any, operation?: SyncOperation): void;
+/**
+ * A single change made to a synced object, as sent in batches
+ */
+export interface SyncChange {
+    path: (string | symbol)[];
+    value: any;
+    operation: SyncOperation;
+}
+/**
+ * Who is allowed to modify a synced object, enforced by the host:
+ * 'host' only the host, 'owner' the host and the owner of the object, 'all' anybody,
+ *    or a function returning true if the given peer may apply the given change.
+ */
+export type SyncWritePermission = 'host' | 'owner' | 'all' | ((peerId: string, path: (string | symbol)[], value: any, operation: SyncOperation) => boolean);
+/**
+ * Called by the host when a client changes a path that has been changed since the version the client knew,
+ *    returns the value to keep. Without it, the last change received by the host wins.
+ */
+export type SyncMergeFunction = (path: (string | symbol)[], current: any, incoming: any, peerId: string) => any;
+/**
+ * Called with a copy of the new value at a watched path, a copy of the previous one and the path itself,
+ *    undefined standing for a value which does not exist
+ */
+export type WatchHandler = (value: any, previous: any, path: string[]) => void | Promise<void>;
+/**
+ * Which peers receive a synced object: a list of peer ids or a function returning true for the peers that should
+ */
+export type SyncAudience = string[] | ((peerId: string) => boolean);
+export interface SyncOptions {
+    writable?: SyncWritePermission;
+    owner?: string;
+    merge?: SyncMergeFunction;
+    audience?: SyncAudience;
+    room?: string;
+}
+/**
+ * Ordering information of a synced object.
+ * The host numbers every change it accepts and sends it back to every client, including its author.
+ * Clients keep the state as ordered by the host in confirmed,
+ *    and replay on top of it the local changes the host has not acknowledged yet.
+ */
+export interface SyncState {
+    version: number;
+    confirmed: any;
+    pending: {
+        seq: number;
+        changes: SyncChange[];
+    }[];
+    seq: number;
+    pathVersions: Map<string, number>;
+    history: any[];
+    clock: number;
+    stamps: Map<string, SyncStamp>;
+}
+/**
+ * A change made to a synced object in a mesh, ordered by the Lamport clock of the object,
+ *    then by the id of the peer that made it for concurrent changes
+ */
+export interface SyncStamp {
+    path: string[];
+    clock: number;
+    peer: string;
+}
+/**
+ * Why a connection has been closed, sent to the remote peer along with the closing message
+ */
+export declare enum CloseCode {
+    NORMAL = 0,
+    LOST = 1,
+    TIMEOUT = 2,
+    KICKED = 3,
+    BANNED = 4,
+    NOT_WHITELISTED = 5,
+    FULL = 6,
+    NOT_HOSTING = 7,
+    NOT_ACCEPTING = 8,
+    HOSTING_DISABLED = 9,
+    AUTHENTICATION_FAILED = 10,
+    SESSION_EXPIRED = 11,
+    PROTOCOL_ERROR = 12
+}
+/**
+ * Given to the closing events of a connection
+ */
+export interface CloseInfo {
+    code: CloseCode;
+    reason: string;
+    initiatedBy: string | null;
+}
+/**
+ * Budgets per second allowed to every connection, a missing or zero budget is unlimited
+ */
+export interface RateLimits {
+    messages?: number;
+    bytes?: number;
+    syncWrites?: number;
+}
+/**
+ * What happens to a message over budget: it is dropped, queued until the budget allows it,
+ *    or the peer is banned (only dropped when received from the host)
+ */
+export type RatePolicy = 'drop' | 'queue' | 'ban';
+/**
+ * Handles a typed message, called with the connection it has been received from as this
+ */
+export type MessageHandler = (this: NetworkConnection, payload: any) => Promise<void> | void;
+/**
+ * Validates the credentials sent by a peer in answer to the given challenge.
+ * Returns true to accept the peer, false or the reason of the rejection otherwise.
+ */
+export type NetworkAuthenticator = (peerId: string, credentials: any, challenge: string) => boolean | string | Promise<boolean | string>;
+/**
+ * A session issued by the host to a client, allowing it to resume after a transient disconnection.
+ * timeoutID is set while the client is disconnected and its slot reserved.
+ */
+export interface NetworkSession {
+    host: string;
+    token: string;
+    grace: number;
+    connection: NetworkConnection;
+    outbox: any[];
+    timeoutID: ReturnType<typeof setTimeout> | null;
+}
 export declare enum NetworkEvent {
     PEER_OPENED = 0,
     UNAVAILABLE_ID = 1,
@@ -23,25 +203,118 @@ export declare enum NetworkEvent {
     CLIENT_P2P_SYNCED_DATA_CHANGED = 18,
     CLIENT_P2P_UNSYNCED_DATA = 19,
     HOSTING_START = 20,
-    HOSTING_END = 21
+    HOSTING_END = 21,
+    HOST_MIGRATION_STARTED = 22,
+    HOST_MIGRATED = 23,
+    MESH_P2P_OPENED = 24,
+    MESH_P2P_CLOSED = 25,
+    MESH_P2P_RECEIVED_DATA = 26,
+    MESH_P2P_SYNCED_DATA = 27,
+    MESH_P2P_SYNCED_DATA_CHANGED = 28,
+    MESH_P2P_UNSYNCED_DATA = 29,
+    HOST_P2P_SYNCED_DATA_TRANSACTION = 30,
+    CLIENT_P2P_SYNCED_DATA_TRANSACTION = 31,
+    MESH_P2P_SYNCED_DATA_TRANSACTION = 32,
+    HOST_P2P_SYNC_REJECTED = 33,
+    CLIENT_P2P_SYNC_REJECTED = 34,
+    TRANSFER_STARTED = 35,
+    TRANSFER_PROGRESS = 36,
+    TRANSFER_COMPLETED = 37,
+    TRANSFER_CANCELLED = 38,
+    HOST_P2P_RESUMED = 39,
+    CLIENT_P2P_RESUMED = 40,
+    CLIENT_P2P_REJECTED = 41,
+    HOST_P2P_ROOM_JOINED = 42,
+    HOST_P2P_ROOM_LEFT = 43,
+    CLIENT_P2P_ROOM_JOINED = 44,
+    CLIENT_P2P_ROOM_LEFT = 45,
+    PEER_PROTOCOL_ERROR = 46,
+    PEER_RATE_LIMITED = 47,
+    MEDIA_CALL_STARTED = 48,
+    MEDIA_CALL_STREAM = 49,
+    MEDIA_CALL_ENDED = 50
 }
 /**
  * The Network class uses PeerJS to manage P2P connection.
  * On top of peerjs it manages timeouts conditional hosting (whitelist blacklist)
  *    and auto rejection against unwanted connections.
+ * Any other Transport can be given in place of PeerJS, such as the LoopbackTransport.
  */
 export declare class Network {
-    peer: Peer | null;
+    #private;
+    transport: Transport | null;
+    peer: TransportPeer | null;
     id: string | null;
     isHosting: boolean;
+    isMesh: boolean;
     maxClient: number;
     acceptConnections: boolean;
     useWhitelist: boolean;
     whitelist: string[];
     blacklist: string[];
+    authenticate: NetworkAuthenticator | null;
+    authenticationTimeout: number;
+    credentials: any;
     connections: Map<string, NetworkConnection>;
     callbacks: Map<NetworkEvent, ((data: any) => Promise<void>)[]>;
     syncedObjects: Map<string, any>;
+    syncOptions: Map<string, SyncOptions>;
+    syncStates: Map<string, SyncState>;
+    batchChanges: boolean;
+    procedures: Map<string, (...args: any[]) => any>;
+    callTimeout: number;
+    transfers: Map<string, Transfer>;
+    transferChunkSize: number;
+    transferWindow: number;
+    transferBufferLimit: number;
+    transferResumeDelay: number;
+    transferStallTimeout: number;
+    maxTransferSize: number;
+    maxIncomingTransfers: number;
+    sessionGracePeriod: number;
+    sessions: Map<string, NetworkSession>;
+    session: NetworkSession | null;
+    advertisement: {
+        directory: string;
+        connection: TransportConnection;
+        intervalID: ReturnType<typeof setInterval>;
+        name: string;
+        metadata: any;
+    } | null;
+    messageTypes: Map<string, {
+        schema: Schema;
+        handlers: MessageHandler[];
+    }>;
+    protocolErrorLimit: number;
+    rateLimits: RateLimits;
+    ratePolicy: RatePolicy;
+    rateQueueLimit: number;
+    serialization: 'json' | 'binary';
+    compactSync: boolean;
+    compression: boolean;
+    compressionThreshold: number;
+    lossyChannel: boolean;
+    ackDelay: number;
+    retransmitDelay: number;
+    simulation: Simulation | null;
+    recorder: Recorder | null;
+    storage: SnapshotStorage | null;
+    storageKey: string;
+    acceptMediaCalls: boolean;
+    localStream: MediaStream | null;
+    answerMediaCall: ((this: NetworkConnection, metadata: any) => MediaStream | null | false | Promise<MediaStream | null | false>) | null;
+    rooms: Map<string, Room>;
+    joinedRooms: Set<string>;
+    syncHistoryLength: number;
+    hostMigration: boolean;
+    roster: string[];
+    rosterOptions: Map<string, SyncOptions>;
+    migrationGracePeriod: number;
+    migratingTo: string | null;
+    /**
+     * Create a new Network using the given transport, PeerJS is used if none is given
+     */
+    constructor(transport?: Transport | null);
     /**
      * Returns true if there is any connection currenlty active
      */
@@ -50,10 +323,20 @@ export declare class Network {
      * Returns true if the network is hosting and the number of connection currently active is at least equal to this.maxClient
      */
     isFull(): boolean;
+    /**
+     * Returns the current time in ms on the clock of the host, as estimated from the heartbeats.
+     * Every peer of the network can use it to schedule something at the same instant.
+     */
+    hostTime(): number;
+    /**
+     * Returns the number of disconnected clients whose session can still be resumed
+     */
+    reservedSlots(): number;
     /**
      * Connect to the signaling server
+     * PeerJS is only loaded at this point if no other transport has been given
      */
-    start(id: string, options?: PeerJSOption): void;
+    start(id: string, options?: PeerJSOption): Promise<void>;
     reconnect(): void;
     /**
      * Enable hosting, if any connection is opened at time,
@@ -67,43 +350,136 @@ export declare class Network {
      * Returns the new state of isHosting.
      */
     disableHosting(abortIfConnections?: boolean): boolean;
+    /**
+     * Enable the mesh mode, in which every peer is connected to every other peer without any host.
+     * If any connection is opened at time,
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
+     * Hosting is disabled in the process.
+     * Returns the new state of isMesh.
+     */
+    enableMesh(abortIfConnections?: boolean): boolean;
+    /**
+     * Disable the mesh mode, if any connection is opened at time,
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
+     * Returns the new state of isMesh.
+     */
+    disableMesh(abortIfConnections?: boolean): boolean;
     /**
      * Tries to connect to a given peer.
      * will throw an error if not connected to the signaling server or currently hosting.
      * Will automaticaly store the connectino into this.connections.
-     * Will throw an error if you are already connected to a peer.
+     * Will throw an error if you are already connected to a peer, unless in mesh mode
+     *    where the other members of the mesh are then connected automatically.
      */
     connectTo(id: string): NetworkConnection;
+    /**
+     * Send the list of confirmed clients to every one of them, used to elect a successor if the host is lost.
+     * Does nothing if not hosting or if hostMigration is disabled.
+     */
+    shareRoster(id?: string): void;
+    /**
+     * Elect a successor to the lost host among the roster: the oldest client of the host.
+     * The successor starts hosting and the other clients connect to it, keeping the synced objects.
+     * Called automatically when the connection to the host is lost while hostMigration is enabled.
+     */
+    migrateHost(hostID: string): Promise<void>;
     /**
      * Send any data to a given connected peer if it exists
      *
      * @param {string} id
      * @param {any} data
      */
-    sendTo(id: string, data: any): void;
+    sendTo(id: string, data: any, delivery?: DeliveryClass): void;
     /**
      * Send any data to every connected peer
      *
      * @param {any} data
+     * @param {DeliveryClass} delivery How the data reaches the peers, by default it relies on the channel
      */
-    sendToAll(data: any): void;
+    sendToAll(data: any, delivery?: DeliveryClass): void;
     /**
      * Send any data to every connected peer except a given one
      *
      * @param {string} id
      * @param {any} data
+     * @param {DeliveryClass} delivery
+     */
+    sendToAllExcept(id: string, data: any, delivery?: DeliveryClass): void;
+    /**
+     * Register this host with a directory under the given name, the entry is kept up to date every second
+     *    until unadvertise() is called or hosting is disabled.
+     */
+    advertise(directoryID: string, name: string, metadata?: any): void;
+    /**
+     * Remove this host from the directory it advertises to
+     */
+    unadvertise(): void;
+    /**
+     * Returns the hosts currently registered with a directory, rejects if the peer is not ready
+     */
+    listHosts(directoryID: string): Promise<DirectoryEntry[]>;
+    /**
+     * Declare a type of message along with the schema its payload must match, throws if the schema is invalid
+     */
+    defineMessage(type: string, schema?: Schema): void;
+    /**
+     * Add a handler for a type of message, only valid payloads reach it
+     */
+    onMessage(type: string, handler: MessageHandler): void;
+    /**
+     * Send a typed message to a given peer
+     */
+    sendMessage(id: string, type: string, payload: any): void;
+    /**
+     * Send a typed message to every connected peer
+     */
+    sendMessageToAll(type: string, payload: any): void;
+    /**
+     * Returns why the given data received from a peer is invalid, or null if it is valid
      */
-    sendToAllExcept(id: string, data: any): void;
+    validateMessage(data: any): string | null;
     /**
-     * Close the connection to a given peer if it exists
+     * Returns the wire formats offered to the peers, see Codec
+     */
+    codecs(): string[];
+    /**
+     * Returns the room of the given name, creating it if needed
+     */
+    room(name: string): Room;
+    /**
+     * Send any data to the members of a room.
+     * The host sends it directly, a client sends it through the host which relays it if the client is a member.
+     */
+    sendToRoom(name: string, data: any): void;
+    /**
+     * Ask the host to join one of its rooms, which it does if the room is joinable
+     */
+    joinRoom(name: string): void;
+    /**
+     * Ask the host to leave one of its rooms
+     */
+    leaveRoom(name: string): void;
+    /**
+     * Keep the session of a lost connection so that it can be resumed, returns true if it can be.
+     * On the host, the slot of the client is reserved for this.sessionGracePeriod ms.
+     * On a client, the connection to the host is retried until the grace period given by the host elapses.
+     */
+    suspendConnection(networkConnection: NetworkConnection): boolean;
+    /**
+     * Give up on resuming the session with the host, the connection is then considered closed
+     */
+    expireSession(close?: CloseInfo): Promise<void>;
+    /**
+     * Close the connection to a given peer if it exists, the reason is given to the peer.
+     * A client closed by the host is considered kicked unless another code is given.
      *
      * @param {string} id
      */
-    closeConnection(id: string): void;
+    closeConnection(id: string, reason?: string, code?: CloseCode): void;
     /**
      * Close the connection with all connected peer
      */
-    closeAllConnections(): void;
+    closeAllConnections(reason?: string, code?: CloseCode): void;
     /**
      * Add a callback for a given event
      *
@@ -118,18 +494,47 @@ export declare class Network {
     on(event: NetworkEvent.PEER_DISCONNECT, callback: () => Promise<void>): void;
     on(event: NetworkEvent.PEER_ERROR, callback: (error: Error) => Promise<void>): void;
     on(event: NetworkEvent.HOST_P2P_OPENED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_CLOSED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_RECEIVED_DATA, callback: (data: any, room?: string) => Promise<void>): void;
     on(event: NetworkEvent.HOST_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
     on(event: NetworkEvent.HOST_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
     on(event: NetworkEvent.CLIENT_P2P_OPENED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_CLOSED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_RECEIVED_DATA, callback: (data: any, room?: string) => Promise<void>): void;
     on(event: NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION, callback: () => Promise<void>): void;
     on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
     on(event: NetworkEvent.CLIENT_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_MIGRATION_STARTED, callback: (lostHostID: string, successorID: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_MIGRATED, callback: (hostID: string) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_OPENED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_SYNC_REJECTED, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNC_REJECTED, callback: (uuid: string) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_STARTED, callback: (transfer: Transfer) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_PROGRESS, callback: (transfer: Transfer) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_COMPLETED, callback: (transfer: Transfer, payload: any) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_CANCELLED, callback: (transfer: Transfer, reason: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_RESUMED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_RESUMED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_REJECTED, callback: (reason: string, code: CloseCode) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_ROOM_JOINED, callback: (id: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_ROOM_LEFT, callback: (id: string) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_ROOM_JOINED, callback: (room: string) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_ROOM_LEFT, callback: (room: string) => Promise<void>): void;
+    on(event: NetworkEvent.PEER_PROTOCOL_ERROR, callback: (error: string, data: any) => Promise<void>): void;
+    on(event: NetworkEvent.PEER_RATE_LIMITED, callback: (data: any) => Promise<void>): void;
+    on(event: NetworkEvent.MEDIA_CALL_STARTED, callback: (mediaCall: MediaCall) => Promise<void>): void;
+    on(event: NetworkEvent.MEDIA_CALL_STREAM, callback: (mediaCall: MediaCall, stream: MediaStream) => Promise<void>): void;
+    on(event: NetworkEvent.MEDIA_CALL_ENDED, callback: (mediaCall: MediaCall) => Promise<void>): void;
     /**
      * Returns all callbacks associated with the given event
      */
@@ -143,38 +548,345 @@ export declare class Network {
      */
     deny(id: string): void;
     /**
-     * Puts a given id into the blacklist, closing the connection if it exists
+     * Puts a given id into the blacklist, closing the connection if it exists with the given reason
      */
-    ban(id: string): void;
+    ban(id: string, reason?: string): void;
     /**
      * Removes a given id from the blacklist
      */
     unban(id: string): void;
-    syncObject(object: object): Promise<void>;
+    /**
+     * Share a copy of the given object with every connected peer, changes made to it are synced.
+     * options.writable restricts which peers may modify it, see SyncWritePermission,
+     *    options.owner defaults to this peer.
+     */
+    syncObject(object: object, options?: SyncOptions): Promise<string>;
+    /**
+     * Returns a serializable dump of the synced objects, their uuid, version and options, see restore()
+     */
+    snapshot(): NetworkSnapshot;
+    /**
+     * Sync again the objects of a snapshot under their uuid, replacing the objects already synced under it.
+     * The connected peers receive them as any newly synced object.
+     * The options which could not be saved can be given per uuid, they take precedence over the saved ones.
+     */
+    restore(snapshot: NetworkSnapshot, options?: {
+        [uuid: string]: SyncOptions;
+    }): Promise<string[]>;
+    /**
+     * Save a snapshot of the synced objects in this.storage
+     */
+    save(): Promise<void>;
+    /**
+     * Restore the snapshot saved in this.storage, resolves to false if there is none
+     */
+    load(options?: {
+        [uuid: string]: SyncOptions;
+    }): Promise<boolean>;
+    /**
+     * Save the synced objects every interval ms when they changed since the last save, 0 stops saving them
+     */
+    autosave(interval: number): void;
     unsync(uuid: string): Promise<void>;
     unsyncAll(): Promise<void>;
+    /**
+     * Returns true if the given peer is part of the audience of a synced object
+     */
+    canSee(uuid: string, id: string): boolean;
+    /**
+     * Change the audience of a synced object, see refreshAudience()
+     */
+    setAudience(uuid: string, audience: SyncAudience | undefined): void;
+    /**
+     * Send a synced object to the peers that joined its audience and remove it from the peers that left it.
+     * To be called when the state used by an audience function has changed.
+     */
+    refreshAudience(uuid: string): void;
+    /**
+     * Send any data about a synced object to every connected peer of its audience, except a given one if any
+     */
+    sendToAudience(uuid: string, data: any, except?: string): void;
+    /**
+     * Returns true if the given peer is allowed to apply the given change to a synced object
+     */
+    canWrite(uuid: string, id: string, { path, value, operation }: SyncChange): boolean;
+    /**
+     * Send a change made to a synced object to the connected peers.
+     * The change is held back while a transaction is running on the object,
+     *    or until the end of the current microtask if this.batchChanges is enabled.
+     */
+    shareChange(uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation, previous?: any): void;
+    /**
+     * Number the given changes as the next version of a synced object, returns that version
+     */
+    recordVersion(state: SyncState, changes: SyncChange[]): number;
+    /**
+     * Forget the versions of the paths changed at or before the oldest version a client may still base its changes on,
+     *    mergeChanges() treating them as it treats the paths never changed
+     */
+    prunePathVersions(uuid: string): void;
+    /**
+     * Keep a numbered change message of a synced object, used to catch up resuming clients
+     */
+    recordHistory(state: SyncState, message: any): void;
+    /**
+     * Send again the local changes not acknowledged by the host, after the session has been resumed
+     */
+    resendPending(): void;
+    /**
+     * Returns the changes made by a client to a synced object, merged with the changes made since the version it knew
+     *    if the object has a merge function
+     */
+    mergeChanges(uuid: string, id: string, base: number | undefined, changes: SyncChange[]): SyncChange[];
+    /**
+     * Apply a change made by another peer of a mesh to a synced object, the last change wins:
+     *    it is dropped if its path, or a path containing it, has been changed after it,
+     *    and the changes made after it inside its path are written again over it.
+     * Every peer ends up with the same object whatever the order the changes arrive in.
+     * Returns true if the change has been applied.
+     */
+    mergeStamped(uuid: string, stamp: SyncStamp, value: any): boolean;
+    /**
+     * Rebuild a synced object from the state confirmed by the host and the local changes not acknowledged yet
+     */
+    rebase(uuid: string): void;
+    /**
+     * Run the given function on a synced object, every change made meanwhile is sent at once
+     *    and applied all-or-nothing by the other peers.
+     * If the function throws, the changes it made are undone and nothing is sent,
+     *    the changes received meanwhile from the other peers are kept.
+     */
+    transaction<T>(uuid: string, fn: (proxiedObject: any) => T | Promise<T>): Promise<T>;
+    /**
+     * Call the handler whenever the value at a path of a synced object changes, whether by a local write
+     *    or by a change of another peer. The path is either dotted or an array of keys, '*' matching any key,
+     *    e.g. 'players.*.score'. The object does not need to be synced yet.
+     * Returns a function removing the handler.
+     */
+    watch(uuid: string, path: string | string[], handler: WatchHandler): () => void;
+    /**
+     * Call the watchers of the paths of a synced object related to the given paths changed by another peer, see watch()
+     */
+    notifyWatchers(uuid: string, paths: (string | symbol | number)[][]): Promise<void>;
+    /**
+     * Send any data too large for a single message to a given connected peer, in chunks.
+     * The peer receives it through NetworkEvent.TRANSFER_COMPLETED along with the given metadata.
+     * Resolves once the peer has received and verified the whole payload, rejects if the transfer is cancelled.
+     */
+    sendLarge(id: string, data: any, meta?: any): Promise<void>;
+    /**
+     * Send a file or any blob to a given connected peer, in chunks.
+     * The peer receives it as a Blob through NetworkEvent.TRANSFER_COMPLETED,
+     *    the metadata is completed with the name, type and size of the file.
+     * Resolves once the peer has received and verified the whole file, rejects if the transfer is cancelled.
+     */
+    sendFile(id: string, blob: Blob, meta?: any): Promise<void>;
+    /**
+     * Send the chunks of an outgoing transfer, as long as the receiving peer keeps up.
+     * Yields between chunks so that heartbeats and other messages keep flowing.
+     */
+    pumpTransfer(transfer: Transfer): Promise<void>;
+    /**
+     * Suspend the transfers with a given peer, they are cancelled if it does not reconnect within this.transferResumeDelay ms
+     */
+    pauseTransfers(id: string): void;
+    /**
+     * Offer again the outgoing transfers with a given peer that has reconnected
+     */
+    resumeTransfers(id: string): void;
+    /**
+     * Cancel a transfer, on both sides if the peer is still connected
+     */
+    cancelTransfer(transferID: string, reason?: string): Promise<void>;
+    /**
+     * Handle the transfer messages of a given connection
+     */
+    receiveTransfer(networkConnection: NetworkConnection, data: any): Promise<void>;
+    /**
+     * Register a procedure that connected peers can call using network.call().
+     * The handler is called with the NetworkConnection of the caller as this,
+     *    its returned value (or resolved value) is sent back to the caller.
+     */
+    register(name: string, handler: (this: NetworkConnection, ...args: any[]) => any): void;
+    /**
+     * Removes a procedure previously registered
+     */
+    unregister(name: string): void;
+    /**
+     * Call a procedure registered on a given connected peer.
+     * Rejects if the peer is not connected, if the procedure throws or is unknown,
+     *    if it does not answer within this.callTimeout ms or if the connection closes meanwhile.
+     */
+    call(id: string, name: string, ...args: any[]): Promise<any>;
+    /**
+     * Returns the reason why a media call with the given connected peer cannot take place, or null if it can.
+     * The peer must be confirmed and still allowed to be connected.
+     */
+    mediaCallRefusal(networkConnection: NetworkConnection): CloseCode | null;
+    /**
+     * Call a connected peer, sending the given stream.
+     * The call ends at the latest when the connection with the peer closes.
+     */
+    startMediaCall(id: string, stream: MediaStream, metadata?: any): Promise<MediaCall>;
+    /**
+     * Hang up every media call with a given peer
+     */
+    endMediaCalls(id: string): Promise<void>;
+    /**
+     * Returns the streams received from a given peer in the media calls currently active with it
+     */
+    mediaStreams(id: string): MediaStream[];
+}
+/**
+ * The Room class is a named group of clients of the host, obtained with network.room(name).
+ * Only the members of a room receive its messages and the objects synced in it,
+ *    so that a single host can run a lobby and several matches at once.
+ */
+export declare class Room {
+    name: string;
+    network: Network;
+    members: Set<string>;
+    joinable: boolean;
+    constructor(name: string, network: Network);
+    /**
+     * Returns true if the given peer is a member of the room
+     */
+    has(id: string): boolean;
+    /**
+     * Returns the uuid of the objects synced in the room
+     */
+    objects(): string[];
+    /**
+     * Add a client to the room, it receives the objects synced in it
+     */
+    join(id: string): Promise<void>;
+    /**
+     * Remove a client from the room, the objects synced in it are unsynced on its side
+     */
+    leave(id: string): Promise<void>;
+    /**
+     * Send any data to every member of the room
+     */
+    sendToAll(data: any): void;
+    /**
+     * Send any data to every member of the room except a given one
+     */
+    sendToAllExcept(except: string, data: any): void;
+    /**
+     * Share an object with the members of the room only, see network.syncObject()
+     */
+    syncObject(object: object, options?: SyncOptions): Promise<string>;
+    /**
+     * Remove every member and unsync the objects of the room, which is then deleted
+     */
+    close(): Promise<void>;
+}
+/**
+ * The MediaCall class is an audio/video call with a connected peer, placed with network.startMediaCall()
+ *    or answered automatically, see network.answerMediaCall.
+ * Its lifetime is tied to the NetworkConnection with the peer, through which hanging up is also told.
+ */
+export declare class MediaCall {
+    #private;
+    id: string;
+    networkConnection: NetworkConnection;
+    media: TransportMediaConnection;
+    outgoing: boolean;
+    metadata: any;
+    localStream: MediaStream | null;
+    remoteStream: MediaStream | null;
+    ended: boolean;
+    constructor(id: string, networkConnection: NetworkConnection, media: TransportMediaConnection, outgoing: boolean, localStream: MediaStream | null, metadata: any);
+    get peer(): string;
+    /**
+     * Hang up, the remote peer is told through the connection unless it did hang up itself
+     */
+    end(notify?: boolean): Promise<void>;
 }
 export declare class NetworkConnection {
     #private;
-    connection: DataConnection;
+    connection: TransportConnection;
     timer: Timer;
-    intervalID: number;
+    intervalID: ReturnType<typeof setInterval>;
     receiver: boolean;
     network: Network;
+    mesh: boolean;
+    confirmed: boolean;
+    visibleObjects: Set<string>;
+    syncBases: Map<string, number>;
+    suspended: boolean;
+    resuming: boolean;
+    rtt: number | null;
+    jitter: number;
+    clockOffset: number;
+    heartbeatGap: number;
+    maxHeartbeatGap: number;
+    heartbeatsLost: number;
+    codec: Codec;
+    delivery: Delivery;
+    lossyConnection: TransportConnection | null;
+    closeInfo: CloseInfo | null;
+    protocolErrors: number;
+    received: {
+        messages: number;
+        bytes: number;
+        syncWrites: number;
+    };
+    rateLimited: number;
+    dropped: number;
+    challenge: string | null;
+    mediaCalls: Map<string, MediaCall>;
+    pendingCalls: Map<number, {
+        name: string;
+        resolve: (value: any) => void;
+        reject: (reason: any) => void;
+        timeoutID: ReturnType<typeof setTimeout>;
+    }>;
     constructor(connection: any, receiver: boolean, network: Network);
+    /**
+     * Use a second channel with the remote peer for the delivery classes other than 'reliable-ordered'.
+     * The messages received on it are handled as the ones of the main channel.
+     */
+    useLossyChannel(connection: TransportConnection): void;
+    /**
+     * Send any data to the connected peer in the wire format agreed with it.
+     * Without a delivery class, the data relies on the main channel, which is reliable and ordered.
+     */
+    send(data: any, delivery?: DeliveryClass): void;
+    /**
+     * Switch to the wire formats agreed with the peer
+     */
+    useCodecs(codecs: string[]): void;
     get id(): string;
     /**
-     * Removes the connection from Network.connections and deletes the timeout interval
+     * Send every synced object of the network to the connected peer
+     */
+    sendSyncedObjects(): void;
+    /**
+     * Send a synced object to the connected peer
+     */
+    showObject(uuid: string): void;
+    /**
+     * Remove a synced object from the connected peer
+     */
+    hideObject(uuid: string): void;
+    /**
+     * Call a procedure registered on the connected peer, see Network.call()
+     */
+    call(name: string, args?: any[]): Promise<any>;
+    /**
+     * Removes the connection from Network.connections, deletes the timeout interval,
+     *    rejects every pending call and ends the media calls
      */
     clean(): void;
     /**
-     * Sends a closing message to the connected peer and closes the connection with it
+     * Sends a closing message with the given reason and code to the connected peer and closes the connection with it
      */
-    close(): void;
+    close(reason?: string, code?: CloseCode): void;
     /**
      * Execute the function this.clean() and this.close()
      */
-    cleanclose(): void;
+    cleanclose(reason?: string, code?: CloseCode): void;
 }
 /**
  * The Timer class is used to mesure time easily
@@ -0,0 +1,12 @@
+import { PeerJSOption } from "peerjs";
+import { Transport, TransportPeer } from "./Transport.js";
+/**
+ * The PeerJSTransport class is the default transport of the Network.
+ * It relies on a PeerJS signaling server and WebRTC data channels.
+ */
+export declare class PeerJSTransport implements Transport {
+    /**
+     * Create a new PeerJS peer
+     */
+    createPeer(id: string, options?: PeerJSOption): TransportPeer;
+}
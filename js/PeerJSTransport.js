@@ -0,0 +1,13 @@
+import { Peer } from "peerjs";
+/**
+ * The PeerJSTransport class is the default transport of the Network.
+ * It relies on a PeerJS signaling server and WebRTC data channels.
+ */
+export class PeerJSTransport {
+    /**
+     * Create a new PeerJS peer
+     */
+    createPeer(id, options = {}) {
+        return new Peer(id, options);
+    }
+}
@@ -0,0 +1,101 @@
+import { Network } from "./Network.js";
+import { LoopbackTransport } from "./LoopbackTransport.js";
+/**
+ * Something that happened on a connection, or a mark added by the application:
+ * - 'in' and 'out' carry a message received from or sent to the peer, as handled by the Network,
+ *    the chunks of transfers being kept without their data but with its size
+ * - 'open' carries whether the peer initiated the connection and the metadata of the connection
+ * - 'close' carries the CloseInfo of the connection
+ * - 'local' carries a synced object created, changed or unsynced by the recorded peer itself, as a sync message
+ * - 'mark' carries whatever was given to recorder.mark()
+ */
+export interface RecordingEntry {
+    time: number;
+    type: 'in' | 'out' | 'open' | 'close' | 'local' | 'mark';
+    peer: string | null;
+    data: any;
+}
+/**
+ * Portable form of a recording, obtained with recorder.export()
+ */
+export interface Recording {
+    format: 1;
+    id: string | null;
+    role: 'host' | 'client' | 'mesh';
+    start: number;
+    entries: RecordingEntry[];
+}
+/**
+ * The Recorder class logs the messages going through the connections of a network, with their time and peer.
+ * Recording is opt-in: create a Recorder for the network and start() it.
+ */
+export declare class Recorder {
+    network: Network;
+    entries: RecordingEntry[];
+    startTime: number;
+    recording: boolean;
+    maxEntries: number;
+    constructor(network: Network);
+    /**
+     * Start recording, from scratch unless resume is true
+     */
+    start(resume?: boolean): void;
+    stop(): void;
+    /**
+     * Log an entry, called by the Network
+     */
+    record(type: RecordingEntry['type'], peer: string | null, data: any): void;
+    /**
+     * Add an entry of the application, to find a moment of the session in the recording
+     */
+    mark(data: any): void;
+    /**
+     * Returns the recording in a form that can be saved as JSON
+     */
+    export(): Recording;
+    /**
+     * Returns everything needed to look into a problem: the recording and the synced objects as they are now
+     */
+    report(description?: string): {
+        description: string;
+        time: number;
+        recording: Recording;
+        snapshot: any;
+    };
+}
+/**
+ * The Replayer class feeds a recording into a network using a LoopbackTransport, step by step.
+ * Every remote peer of the recording is played by a loopback peer sending the messages the recorded peer received,
+ *    so that they go through the same handling, while the changes the recorded peer made itself are made again.
+ * The messages the recorded peer sent are not replayed, the network sends its own.
+ */
+export declare class Replayer {
+    #private;
+    network: Network;
+    recording: Recording;
+    index: number;
+    settleTime: number;
+    /**
+     * The network should not be started yet, it is given a LoopbackTransport if it has no transport
+     */
+    constructor(network: Network, recording: Recording);
+    get transport(): LoopbackTransport;
+    get done(): boolean;
+    /**
+     * Start the network under the id of the recorded peer, in its role
+     */
+    start(): Promise<void>;
+    /**
+     * Replay the next entry, resolves to it once the network handled it, or to null at the end of the recording
+     */
+    step(): Promise<RecordingEntry | null>;
+    /**
+     * Replay the entries until the given time of the recording, the whole recording by default.
+     * With a speed, the entries are replayed at their pace multiplied by it, otherwise as fast as possible.
+     */
+    play(end?: number, speed?: number): Promise<void>;
+    /**
+     * Destroy the network and the peers playing the remote ones
+     */
+    stop(): void;
+}
@@ -0,0 +1,227 @@
+import { applyChange, moveItem } from "./Network.js";
+import { LoopbackTransport } from "./LoopbackTransport.js";
+/**
+ * Returns a copy of a value as it would be once saved
+ */
+function portable(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+/**
+ * Returns a promise resolving after the given time in ms
+ */
+function sleep(time) {
+    return new Promise(resolve => setTimeout(resolve, time));
+}
+/**
+ * Resolves once the condition holds, rejects after the given time in ms
+ */
+async function until(condition, timeout = 5000) {
+    for (let start = Date.now(); !condition(); await sleep(1))
+        if (Date.now() - start > timeout)
+            throw 'Replay timed out';
+}
+/**
+ * The Recorder class logs the messages going through the connections of a network, with their time and peer.
+ * Recording is opt-in: create a Recorder for the network and start() it.
+ */
+export class Recorder {
+    network;
+    entries = [];
+    startTime = Date.now();
+    recording = false;
+    maxEntries = 100000; // The oldest entries are dropped past this number, a few at a time
+    constructor(network) {
+        this.network = network;
+        network.recorder = this;
+    }
+    /**
+     * Start recording, from scratch unless resume is true
+     */
+    start(resume = false) {
+        if (!resume) {
+            this.entries = [];
+            this.startTime = Date.now();
+        }
+        this.recording = true;
+    }
+    stop() {
+        this.recording = false;
+    }
+    /**
+     * Log an entry, called by the Network
+     */
+    record(type, peer, data) {
+        if (!this.recording)
+            return;
+        // The payload of a transfer is not needed to understand a session and would fill the recording
+        if (data?.evt === 'Network$CHUNK' && typeof data.data === 'string')
+            data = { evt: data.evt, id: data.id, index: data.index, size: data.data.length };
+        this.entries.push({ time: Date.now() - this.startTime, type, peer, data: portable(data) });
+        // Dropped by batches of an eighth, so that the entries are not all moved on every new one
+        if (this.entries.length >= this.maxEntries + Math.max(1, this.maxEntries >> 3))
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    /**
+     * Add an entry of the application, to find a moment of the session in the recording
+     */
+    mark(data) {
+        this.record('mark', this.network.id, data);
+    }
+    /**
+     * Returns the recording in a form that can be saved as JSON
+     */
+    export() {
+        return {
+            format: 1,
+            id: this.network.id,
+            role: this.network.isHosting ? 'host' : this.network.isMesh ? 'mesh' : 'client',
+            start: this.startTime,
+            entries: portable(this.entries.slice(Math.max(0, this.entries.length - this.maxEntries)))
+        };
+    }
+    /**
+     * Returns everything needed to look into a problem: the recording and the synced objects as they are now
+     */
+    report(description = '') {
+        return { description, time: Date.now(), recording: this.export(), snapshot: this.network.snapshot() };
+    }
+}
+/**
+ * The Replayer class feeds a recording into a network using a LoopbackTransport, step by step.
+ * Every remote peer of the recording is played by a loopback peer sending the messages the recorded peer received,
+ *    so that they go through the same handling, while the changes the recorded peer made itself are made again.
+ * The messages the recorded peer sent are not replayed, the network sends its own.
+ */
+export class Replayer {
+    network;
+    recording;
+    index = 0; // Next entry to replay
+    settleTime = 5; // Time in ms given to the network to handle each message
+    #puppets = new Map();
+    #intervalID = null;
+    /**
+     * The network should not be started yet, it is given a LoopbackTransport if it has no transport
+     */
+    constructor(network, recording) {
+        if (recording?.format !== 1 || !Array.isArray(recording.entries))
+            throw 'Invalid recording';
+        network.transport ??= new LoopbackTransport();
+        if (!(network.transport instanceof LoopbackTransport))
+            throw 'Replaying needs a LoopbackTransport';
+        this.network = network;
+        this.recording = recording;
+    }
+    get transport() { return this.network.transport; }
+    get done() { return this.index >= this.recording.entries.length; }
+    /**
+     * Start the network under the id of the recorded peer, in its role
+     */
+    async start() {
+        this.network.start(this.recording.id ?? '');
+        await until(() => this.network.id !== null);
+        this.network.useWhitelist = false;
+        if (this.recording.role === 'host')
+            this.network.enableHosting();
+        else if (this.recording.role === 'mesh')
+            this.network.enableMesh();
+        // Time does not flow as it did while recording, replayed connections must not time out between two steps
+        this.#intervalID = setInterval(() => {
+            for (let networkConnection of this.network.connections.values())
+                networkConnection.timer.reset();
+        }, 1000);
+    }
+    /**
+     * Replay the next entry, resolves to it once the network handled it, or to null at the end of the recording
+     */
+    async step() {
+        if (this.done)
+            return null;
+        let entry = this.recording.entries[this.index++];
+        if (entry.type === 'open' && entry.peer !== null)
+            await this.#open(entry.peer, entry.data);
+        // Chunks are recorded without their data, transfers cannot be replayed
+        else if (entry.type === 'in' && entry.peer !== null && !(entry.data?.evt === 'Network$CHUNK' && entry.data.data === undefined)) {
+            this.#puppets.get(entry.peer)?.connection?.send(entry.data);
+            await sleep(this.settleTime);
+        }
+        else if (entry.type === 'local')
+            await this.#local(entry.data);
+        else if (entry.type === 'close' && entry.peer !== null) {
+            let puppet = this.#puppets.get(entry.peer);
+            puppet?.connection?.close();
+            if (puppet)
+                puppet.connection = null;
+            await sleep(this.settleTime);
+        }
+        return entry;
+    }
+    /**
+     * Replay the entries until the given time of the recording, the whole recording by default.
+     * With a speed, the entries are replayed at their pace multiplied by it, otherwise as fast as possible.
+     */
+    async play(end = Infinity, speed = 0) {
+        let last = this.index ? this.recording.entries[this.index - 1].time : 0;
+        while (!this.done && this.recording.entries[this.index].time <= end) {
+            let time = this.recording.entries[this.index].time;
+            if (speed > 0)
+                await sleep((time - last) / speed);
+            last = time;
+            await this.step();
+        }
+    }
+    /**
+     * Destroy the network and the peers playing the remote ones
+     */
+    stop() {
+        if (this.#intervalID)
+            clearInterval(this.#intervalID);
+        this.#intervalID = null;
+        for (let { peer } of this.#puppets.values())
+            peer.destroy();
+        this.#puppets.clear();
+        this.network.peer?.destroy();
+    }
+    /**
+     * Make again a change of the recorded peer to its synced objects, through their proxy so that it is shared
+     */
+    async #local(data) {
+        if (data.evt === 'Network$NEWSYNC')
+            await this.network.restore({ format: 1, time: 0, objects: [{ uuid: data.uuid, data: data.object, version: data.version, options: data.options }] });
+        else if (data.evt === 'Network$UNSYNC')
+            await this.network.unsync(data.uuid);
+        else if (data.evt === 'Network$CHANGESYNC' && this.network.syncedObjects.has(data.uuid)) {
+            let proxy = this.network.syncedObjects.get(data.uuid);
+            if (data.operation.type === 'move')
+                moveItem(data.path.reduce((object, segment) => object[segment], proxy), data.operation.from, data.operation.to);
+            else
+                applyChange(proxy, data.path, data.value, data.operation);
+        }
+        await sleep(this.settleTime);
+    }
+    /**
+     * Returns the peer playing the given recorded one
+     */
+    async #puppet(id) {
+        let puppet = this.#puppets.get(id);
+        if (puppet)
+            return puppet;
+        let peer = this.transport.createPeer(id);
+        puppet = { peer, connection: null };
+        // Connections opened by the network
+        peer.on('connection', (connection) => puppet.connection = connection);
+        this.#puppets.set(id, puppet);
+        await until(() => !peer.disconnected);
+        return puppet;
+    }
+    /**
+     * Open the connection as it was opened while recording, by the remote peer if data.receiver is true
+     */
+    async #open(id, data) {
+        let puppet = await this.#puppet(id);
+        if (data?.receiver)
+            puppet.connection = puppet.peer.connect(this.network.id, { metadata: data.metadata, serialization: 'json', reliable: true });
+        else
+            this.network.connectTo(id);
+        await until(() => !!puppet.connection?.open && this.network.connections.has(id));
+    }
+}
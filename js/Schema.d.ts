@@ -0,0 +1,23 @@
+/**
+ * Describes the expected shape of a message:
+ * - a type name: 'string', 'number', 'integer', 'boolean', 'object', 'array', 'null' or 'any',
+ *    several can be given separated by '|', and a trailing '?' also accepts undefined
+ * - [schema] an array whose every item matches schema
+ * - { key: schema } an object whose properties match their schema, other properties are allowed
+ * - a function returning true if the value is valid
+ */
+export type Schema = string | [Schema] | {
+    [key: string]: Schema;
+} | ((value: any) => boolean);
+/**
+ * Throws if the schema uses an unknown type name or is not shaped as described by Schema
+ */
+export declare function checkSchema(schema: Schema): void;
+/**
+ * Check a value against a schema, returns a description of the first mismatch or null if the value is valid
+ */
+export declare function validate(value: any, schema: Schema, path?: string): string | null;
+/**
+ * Returns a schema also accepting undefined
+ */
+export declare function optional(schema: Schema): Schema;
@@ -0,0 +1,108 @@
+import type { Network, NetworkConnection } from "./Network.js";
+import { Schema } from "./Schema.js";
+/**
+ * A difference between two states of a simulation, the path leads to the value that changed
+ */
+export interface StateChange {
+    path: (string | number)[];
+    value: any;
+    operation: {
+        type: 'set' | 'delete';
+    };
+}
+export interface SimulationOptions<State, Input> {
+    /**
+     * Advance the state by one tick given the input of every peer, mutating it.
+     * It is run by the host and, to predict their own state, by the clients: it should be deterministic.
+     */
+    step: (state: State, inputs: Map<string, Input>, tick: number) => void;
+    /**
+     * Initial state, only used by the host
+     */
+    state?: State;
+    tickRate?: number;
+    snapshotInterval?: number;
+    keyframeInterval?: number;
+    inputLead?: number;
+    inputSchema?: Schema;
+    predict?: boolean;
+    interpolationDelay?: number;
+    /**
+     * Blend two states of the host for rendering, alpha going from 0 for from to 1 for to
+     */
+    interpolate?: (from: State, to: State, alpha: number) => State;
+    onTick?: (tick: number, state: State) => void;
+    onSnapshot?: (tick: number, state: State) => void;
+}
+/**
+ * Returns the changes turning from into to
+ */
+export declare function diffState(from: any, to: any, path?: (string | number)[], changes?: StateChange[]): StateChange[];
+/**
+ * Apply changes obtained with diffState(), returns the updated state
+ */
+export declare function patchState(state: any, changes: StateChange[]): any;
+/**
+ * The Simulation class runs a fixed-rate simulation with the host as the authority.
+ * Clients send their input for every tick ahead of time, the host applies the inputs of every peer
+ *    at their tick and broadcasts snapshots of the state. Clients predict their own state by applying
+ *    their inputs right away, and replay the inputs not yet simulated by the host on top of every snapshot.
+ * Remote states are rendered slightly in the past, between the two surrounding snapshots.
+ */
+export declare class Simulation<State = any, Input = any> {
+    #private;
+    network: Network;
+    options: SimulationOptions<State, Input>;
+    tickRate: number;
+    tick: number;
+    startTime: number | null;
+    running: boolean;
+    state: State | undefined;
+    predicted: State | undefined;
+    input: Input | undefined;
+    inputs: Map<number, Map<string, Input>>;
+    lastInputs: Map<string, Input>;
+    confirmedTick: number;
+    pendingInputs: {
+        tick: number;
+        input: Input;
+    }[];
+    snapshots: {
+        tick: number;
+        state: State;
+    }[];
+    constructor(network: Network, options: SimulationOptions<State, Input>);
+    get tickDuration(): number;
+    /**
+     * Returns the tick the host is currently at
+     */
+    currentTick(): number;
+    /**
+     * Start ticking, a client actually starts once it received the first snapshot of the host
+     */
+    start(): void;
+    /**
+     * Stop ticking
+     */
+    stop(): void;
+    /**
+     * Set the input of this peer, sent for every tick until it changes
+     */
+    setInput(input: Input): void;
+    /**
+     * Handle the simulation messages received from a peer
+     */
+    receive(networkConnection: NetworkConnection, data: any): void;
+    /**
+     * Returns the two snapshots surrounding the time rendered by a client, and how far between them it is
+     */
+    sample(): {
+        from: State;
+        to: State;
+        alpha: number;
+    } | null;
+    /**
+     * Returns the state to render: the authoritative one on the host, the interpolated one on a client
+     */
+    render(): State | undefined;
+}
@@ -0,0 +1,60 @@
+import type { SyncWritePermission } from "./Network.js";
+/**
+ * Serializable dump of the synced objects of a network, obtained with network.snapshot().
+ * The options which are functions (merge, function permissions or audiences) cannot be saved,
+ *    they are given again when restoring.
+ */
+export interface NetworkSnapshot {
+    format: 1;
+    time: number;
+    objects: {
+        uuid: string;
+        data: any;
+        version: number;
+        options: {
+            writable?: Exclude<SyncWritePermission, Function>;
+            owner?: string;
+            audience?: string[];
+            room?: string;
+        };
+    }[];
+}
+/**
+ * The SnapshotStorage interface is where network.save() keeps snapshots, under a key
+ */
+export interface SnapshotStorage {
+    save(key: string, snapshot: NetworkSnapshot): Promise<void>;
+    /**
+     * Returns the snapshot saved under the given key, or null if there is none
+     */
+    load(key: string): Promise<NetworkSnapshot | null>;
+}
+/**
+ * Keeps the snapshots in memory, mostly useful for tests
+ */
+export declare class MemoryStorage implements SnapshotStorage {
+    snapshots: Map<string, string>;
+    save(key: string, snapshot: NetworkSnapshot): Promise<void>;
+    load(key: string): Promise<NetworkSnapshot | null>;
+}
+/**
+ * Keeps the snapshots in an IndexedDB database of the browser
+ */
+export declare class IndexedDBStorage implements SnapshotStorage {
+    #private;
+    name: string;
+    constructor(name?: string);
+    save(key: string, snapshot: NetworkSnapshot): Promise<void>;
+    load(key: string): Promise<NetworkSnapshot | null>;
+}
+/**
+ * Keeps the snapshots as JSON files of a directory, in Node.
+ * Files are written aside then renamed, so that a crash while saving leaves the previous snapshot intact.
+ */
+export declare class FileStorage implements SnapshotStorage {
+    #private;
+    directory: string;
+    constructor(directory: string);
+    save(key: string, snapshot: NetworkSnapshot): Promise<void>;
+    load(key: string): Promise<NetworkSnapshot | null>;
+}
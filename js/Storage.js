@@ -0,0 +1,75 @@
+/**
+ * Keeps the snapshots in memory, mostly useful for tests
+ */
+export class MemoryStorage {
+    snapshots = new Map();
+    async save(key, snapshot) {
+        this.snapshots.set(key, JSON.stringify(snapshot));
+    }
+    async load(key) {
+        let snapshot = this.snapshots.get(key);
+        return snapshot === undefined ? null : JSON.parse(snapshot);
+    }
+}
+/**
+ * Keeps the snapshots in an IndexedDB database of the browser
+ */
+export class IndexedDBStorage {
+    name;
+    #database = null;
+    constructor(name = 'peerjs-network') {
+        this.name = name;
+    }
+    #open() {
+        return this.#database ??= new Promise((resolve, reject) => {
+            let request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('snapshots');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    async #request(mode, operation) {
+        let database = await this.#open();
+        return new Promise((resolve, reject) => {
+            let request = operation(database.transaction('snapshots', mode).objectStore('snapshots'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    async save(key, snapshot) {
+        await this.#request('readwrite', store => store.put(snapshot, key));
+    }
+    async load(key) {
+        return await this.#request('readonly', store => store.get(key)) ?? null;
+    }
+}
+/**
+ * Keeps the snapshots as JSON files of a directory, in Node.
+ * Files are written aside then renamed, so that a crash while saving leaves the previous snapshot intact.
+ */
+export class FileStorage {
+    directory;
+    constructor(directory) {
+        this.directory = directory;
+    }
+    #path(key) {
+        return `${this.directory}/${encodeURIComponent(key)}.json`;
+    }
+    async save(key, snapshot) {
+        let fs = await import(/* webpackIgnore: true */ 'fs/promises');
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.#path(key) + '.tmp', JSON.stringify(snapshot));
+        await fs.rename(this.#path(key) + '.tmp', this.#path(key));
+    }
+    async load(key) {
+        let fs = await import(/* webpackIgnore: true */ 'fs/promises');
+        try {
+            return JSON.parse(await fs.readFile(this.#path(key), 'utf8'));
+        }
+        catch (error) {
+            if (error?.code === 'ENOENT')
+                return null;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Encode bytes into a base64 string, data channels using the json serialization can only carry strings
+ */
+export declare function toBase64(bytes: Uint8Array): string;
+/**
+ * Decode a base64 string into bytes
+ */
+export declare function fromBase64(base64: string): Uint8Array;
+/**
+ * Returns the SHA-256 digest of the given bytes as an hexadecimal string
+ */
+export declare function sha256(bytes: Uint8Array): Promise<string>;
+/**
+ * The Transfer class holds the state of a large payload sent in chunks to or from a given peer.
+ * The receiving side acknowledges the number of chunks it holds, which is used both
+ *    to limit the amount of chunks in flight and to resume the transfer after a reconnection.
+ */
+export declare class Transfer {
+    id: string;
+    peer: string;
+    outgoing: boolean;
+    kind: 'file' | 'data';
+    meta: any;
+    size: number;
+    chunkSize: number;
+    hash: string;
+    bytes: Uint8Array;
+    sent: number;
+    received: number;
+    window: number;
+    paused: boolean;
+    pumping: boolean;
+    verifying: boolean;
+    resumeTimeoutID: ReturnType<typeof setTimeout> | null;
+    stallTimeoutID: ReturnType<typeof setTimeout> | null;
+    resolve: (value: void) => void;
+    reject: (reason: any) => void;
+    constructor(id: string, peer: string, outgoing: boolean, kind: 'file' | 'data', meta: any, size: number, chunkSize: number, hash: string, bytes?: Uint8Array);
+    /**
+     * Number of chunks the payload is split into
+     */
+    get chunkCount(): number;
+    /**
+     * Number of bytes held by the receiving side
+     */
+    get transferred(): number;
+    /**
+     * Returns true if every chunk has been received
+     */
+    isComplete(): boolean;
+    /**
+     * Returns the base64 encoded chunk at the given index
+     */
+    chunk(index: number): string;
+    /**
+     * Store the next chunk, returns false if it is not the one expected.
+     * Throws if the chunk is not valid base64 or is longer than announced.
+     */
+    store(index: number, data: string): boolean;
+}
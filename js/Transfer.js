@@ -0,0 +1,95 @@
+/**
+ * Encode bytes into a base64 string, data channels using the json serialization can only carry strings
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000)
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    return btoa(binary);
+}
+/**
+ * Decode a base64 string into bytes
+ */
+export function fromBase64(base64) {
+    let binary = atob(base64);
+    let bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++)
+        bytes[index] = binary.charCodeAt(index);
+    return bytes;
+}
+/**
+ * Returns the SHA-256 digest of the given bytes as an hexadecimal string
+ */
+export async function sha256(bytes) {
+    let digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+/**
+ * The Transfer class holds the state of a large payload sent in chunks to or from a given peer.
+ * The receiving side acknowledges the number of chunks it holds, which is used both
+ *    to limit the amount of chunks in flight and to resume the transfer after a reconnection.
+ */
+export class Transfer {
+    id;
+    peer;
+    outgoing;
+    kind;
+    meta;
+    size;
+    chunkSize;
+    hash;
+    bytes;
+    sent = 0;
+    received = 0;
+    window = 1; // Number of chunks the sender sends ahead of the last acknowledgement
+    paused = false;
+    pumping = false;
+    verifying = false;
+    resumeTimeoutID = null;
+    stallTimeoutID = null;
+    resolve = () => { };
+    reject = () => { };
+    constructor(id, peer, outgoing, kind, meta, size, chunkSize, hash, bytes) {
+        this.id = id;
+        this.peer = peer;
+        this.outgoing = outgoing;
+        this.kind = kind;
+        this.meta = meta;
+        this.size = size;
+        this.chunkSize = chunkSize;
+        this.hash = hash;
+        this.bytes = bytes ?? new Uint8Array(size);
+    }
+    /**
+     * Number of chunks the payload is split into
+     */
+    get chunkCount() { return Math.ceil(this.size / this.chunkSize); }
+    /**
+     * Number of bytes held by the receiving side
+     */
+    get transferred() { return Math.min(this.received * this.chunkSize, this.size); }
+    /**
+     * Returns true if every chunk has been received
+     */
+    isComplete() { return this.received >= this.chunkCount; }
+    /**
+     * Returns the base64 encoded chunk at the given index
+     */
+    chunk(index) {
+        return toBase64(this.bytes.subarray(index * this.chunkSize, (index + 1) * this.chunkSize));
+    }
+    /**
+     * Store the next chunk, returns false if it is not the one expected.
+     * Throws if the chunk is not valid base64 or is longer than announced.
+     */
+    store(index, data) {
+        if (index !== this.received)
+            return false;
+        let bytes = fromBase64(data);
+        if (bytes.length > Math.min(this.chunkSize, this.size - index * this.chunkSize))
+            throw `Chunk ${index} is too long`;
+        this.bytes.set(bytes, index * this.chunkSize);
+        this.received++;
+        return true;
+    }
+}
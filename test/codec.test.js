@@ -0,0 +1,83 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Codec } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('sync messages survive the compact form, in full then through the tables', () => {
+
+    let sender = new Codec()
+    let receiver = new Codec()
+
+    sender.compact = receiver.compact = true
+
+    let messages = [
+        { evt: 'Network$NEWSYNC', uuid: 'abc', object: JSON.stringify({ list: [1] }), version: 0, stamps: [{ path: [], clock: 1, peer: 'host' }] },
+        { evt: 'Network$CHANGESYNC', uuid: 'abc', path: ['list'], value: [2], operation: { type: 'insert', index: 1 }, seq: 1, clock: 2 },
+        { evt: 'Network$CHANGESYNC', uuid: 'abc', path: ['list', 0], value: 3, operation: { type: 'set' }, seq: 2, version: 4 },
+        { evt: 'Network$BATCHSYNC', uuid: 'abc', changes: [{ path: ['list'], value: [1], operation: { type: 'remove', index: 0, count: 1 } }, { path: ['name'], value: 'x', operation: { type: 'set' } }], seq: 3 },
+        { evt: 'Network$MESSAGE', type: 'chat', payload: 'left as is' }
+    ]
+
+    for (let message of messages) {
+
+        let decoded = receiver.decode(JSON.parse(JSON.stringify(sender.encode(message))))
+
+        // Synced objects are carried as objects in the compact form
+        assert.deepEqual(decoded, message.evt === 'Network$NEWSYNC' ? { ...message, object: JSON.parse(message.object) } : message)
+
+    }
+
+})
+
+test('compressed messages are restored on binary and json connections', async () => {
+
+    let codec = new Codec()
+    let message = { evt: 'Network$MESSAGE', type: 'chat', payload: 'x'.repeat(10000) }
+
+    for (let binary of [true, false]) {
+
+        let compressed = await codec.compress(message, binary)
+
+        assert.equal(compressed.evt, 'Network$DEFLATE')
+        assert.deepEqual(await codec.decompress(compressed), message)
+
+    }
+
+})
+
+test('peers offering compression and the compact form use both', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.compression = client.compression = true
+    host.compressionThreshold = 100
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let codec = host.connections.get('client').codec
+    let compress = codec.compress.bind(codec)
+    let compressed = 0
+
+    codec.compress = async (...args) => {
+        compressed++
+        return compress(...args)
+    }
+
+    assert.equal(codec.compact && codec.deflate, true)
+
+    let uuid = await host.syncObject({ text: 'x'.repeat(1000), list: [] })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    host.syncedObjects.get(uuid).list.push(1)
+
+    await until(() => client.syncedObjects.get(uuid).list.length === 1)
+
+    assert.ok(compressed > 0)
+    assert.deepEqual(JSON.parse(JSON.stringify(client.syncedObjects.get(uuid))), JSON.parse(JSON.stringify(host.syncedObjects.get(uuid))))
+
+    await stop(host, client)
+
+})
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { NetworkEvent } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('messages lost on the way are sent again, in order and only once', async () => {
+
+    let { transport, networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let received = { 'reliable-ordered': [], 'reliable-unordered': [], 'unreliable-sequenced': [] }
+    client.on(NetworkEvent.CLIENT_P2P_RECEIVED_DATA, async ({ delivery, index }) => { received[delivery].push(index) })
+
+    transport.loss = 0.3
+
+    for (let index = 0; index < 50; index++)
+        for (let delivery of Object.keys(received))
+            host.sendTo('client', { delivery, index }, delivery)
+
+    await until(() => received['reliable-ordered'].length === 50 && received['reliable-unordered'].length === 50, 10000)
+
+    transport.loss = 0
+
+    let indexes = [...Array(50).keys()]
+
+    assert.deepEqual(received['reliable-ordered'], indexes)
+    assert.deepEqual([...received['reliable-unordered']].sort((a, b) => a - b), indexes)
+
+    // Lost ones are not sent again, and late ones are dropped
+    let sequenced = received['unreliable-sequenced']
+
+    assert.ok(sequenced.length < 50)
+    assert.ok(sequenced.every((index, position) => !position || index > sequenced[position - 1]))
+
+    await stop(host, client)
+
+})
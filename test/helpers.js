@@ -0,0 +1,69 @@
+import { Network, NetworkEvent, LoopbackTransport } from '../js/Network.js'
+
+/**
+ * Returns a promise resolving after the given time in ms
+ */
+export function wait(time) {
+
+    return new Promise(resolve => setTimeout(resolve, time))
+
+}
+
+/**
+ * Resolves once the condition holds, rejects after the given time in ms
+ */
+export async function until(condition, timeout = 3000) {
+
+    for (let start = Date.now(); !condition(); await wait(5))
+        if (Date.now() - start > timeout) throw new Error('Condition not met in time')
+
+}
+
+/**
+ * Returns started networks sharing a LoopbackTransport, one per id
+ */
+export async function networks(ids, options = {}) {
+
+    let transport = new LoopbackTransport(options)
+    let result = ids.map(() => new Network(transport))
+
+    for (let [index, network] of result.entries()) {
+
+        let opened = new Promise(resolve => network.on(NetworkEvent.PEER_OPENED, async () => resolve()))
+
+        await network.start(ids[index])
+        await opened
+
+    }
+
+    return { transport, networks: result }
+
+}
+
+/**
+ * Connect a client to a host, resolves once the host confirmed it
+ */
+export async function join(client, hostID) {
+
+    let confirmed = new Promise(resolve => client.on(NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION, async () => resolve()))
+
+    client.connectTo(hostID)
+
+    await confirmed
+
+}
+
+/**
+ * Close every connection and release every id, so that no timer keeps the process alive
+ */
+export async function stop(...networks) {
+
+    for (let network of networks) network.closeAllConnections()
+
+    await wait(300)
+
+    for (let network of networks) network.peer?.destroy()
+
+    await wait(20)
+
+}
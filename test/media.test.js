@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { NetworkEvent } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('a media call exchanges the streams of both peers until either hangs up', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    // Streams are passed as is by the loopback transport
+    let hostStream = { id: 'host' }
+    let clientStream = { id: 'client' }
+
+    host.useWhitelist = false
+    host.answerMediaCall = async function (metadata) { return metadata.topic === 'game' ? hostStream : false }
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let ended = new Promise(resolve => host.on(NetworkEvent.MEDIA_CALL_ENDED, async (mediaCall) => resolve(mediaCall)))
+
+    let refused = await client.startMediaCall('host', clientStream, { topic: 'other' })
+
+    await until(() => refused.ended)
+
+    let mediaCall = await client.startMediaCall('host', clientStream, { topic: 'game' })
+
+    await until(() => mediaCall.remoteStream && host.mediaStreams('client').length)
+
+    assert.equal(mediaCall.remoteStream, hostStream)
+    assert.deepEqual(host.mediaStreams('client'), [clientStream])
+
+    await mediaCall.end()
+
+    assert.equal((await ended).id, mediaCall.id)
+    assert.deepEqual(host.mediaStreams('client'), [])
+    assert.deepEqual(client.mediaStreams('host'), [])
+
+    await stop(host, client)
+
+})
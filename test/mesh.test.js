@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { networks, stop, until, wait } from './helpers.js'
+
+/**
+ * Returns the synced object of every network as JSON
+ */
+function states(members, uuid) {
+
+    return members.map(network => JSON.stringify(network.syncedObjects.get(uuid)))
+
+}
+
+test('concurrent changes in a mesh converge to the same object', async () => {
+
+    let { networks: members } = await networks(['alice', 'bob', 'carol'], { latency: 5 })
+    let [alice, bob, carol] = members
+
+    for (let network of members) {
+
+        network.useWhitelist = false
+        network.enableMesh()
+
+    }
+
+    alice.connectTo('bob')
+    alice.connectTo('carol')
+    bob.connectTo('carol')
+
+    await until(() => members.every(network => [...network.connections.values()].filter(connection => connection.confirmed).length === 2))
+
+    let uuid = await alice.syncObject({ score: 0, items: [], nested: { a: 1 } })
+
+    await until(() => members.every(network => network.syncedObjects.has(uuid)))
+
+    alice.syncedObjects.get(uuid).score = 1
+    bob.syncedObjects.get(uuid).score = 2
+    carol.syncedObjects.get(uuid).score = 3
+    bob.syncedObjects.get(uuid).items.push('bob')
+    carol.syncedObjects.get(uuid).items.push('carol')
+    alice.syncedObjects.get(uuid).nested = { b: 2 }
+    carol.syncedObjects.get(uuid).nested.a = 3
+
+    await wait(100)
+
+    let [expected, ...others] = states(members, uuid)
+
+    for (let state of others) assert.equal(state, expected)
+
+    await stop(...members)
+
+})
+
+test('members of a mesh merge the objects they changed apart when they connect', async () => {
+
+    let { networks: members } = await networks(['alice', 'bob'], { latency: 5 })
+    let [alice, bob] = members
+
+    let snapshot = { format: 1, time: 0, objects: [{ uuid: 'shared', data: { score: 0, name: 'game', items: [] }, version: 0, options: {} }] }
+
+    for (let network of members) {
+
+        network.useWhitelist = false
+        network.enableMesh()
+        await network.restore(snapshot)
+
+    }
+
+    alice.syncedObjects.get('shared').score = 5
+    bob.syncedObjects.get('shared').items.push('bob')
+    bob.syncedObjects.get('shared').name = 'match'
+
+    alice.connectTo('bob')
+
+    await until(() => states(members, 'shared')[0] === states(members, 'shared')[1])
+
+    assert.deepEqual(JSON.parse(states(members, 'shared')[0]), { score: 5, name: 'match', items: ['bob'] })
+
+    await stop(...members)
+
+})
@@ -0,0 +1,568 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CloseCode, LoopbackTransport, Network, NetworkEvent } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('a client joins a host and both share a synced object', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ score: 0, players: [] })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    host.syncedObjects.get(uuid).score = 3
+    client.syncedObjects.get(uuid).players.push('client')
+
+    await until(() => client.syncedObjects.get(uuid).score === 3 && host.syncedObjects.get(uuid).players.length === 1)
+
+    assert.deepEqual(JSON.parse(JSON.stringify(host.syncedObjects.get(uuid))), JSON.parse(JSON.stringify(client.syncedObjects.get(uuid))))
+
+    await stop(host, client)
+
+})
+
+test('a client not in the whitelist is rejected', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'])
+
+    host.enableHosting()
+
+    let rejected = new Promise(resolve => client.on(NetworkEvent.CLIENT_P2P_REJECTED, async (reason) => resolve(reason)))
+
+    client.connectTo('host')
+
+    assert.equal(await rejected, 'Not whitelisted')
+    await until(() => !host.hasConnections() && !client.hasConnections())
+
+    await stop(host, client)
+
+})
+
+test('procedures registered on the host can be called by a client', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'])
+
+    host.useWhitelist = false
+    host.enableHosting()
+    host.register('add', (a, b) => a + b)
+
+    await join(client, 'host')
+
+    assert.equal(await client.call('host', 'add', 2, 3), 5)
+    await assert.rejects(client.call('host', 'missing'))
+
+    await stop(host, client)
+
+})
+
+test('calls time out, and the pending ones are rejected when the connection closes', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+    host.register('never', () => new Promise(() => { }))
+
+    await join(client, 'host')
+
+    client.callTimeout = 100
+
+    await assert.rejects(client.call('host', 'never'), error => error === 'Call to "never" on "host" timed out')
+
+    client.callTimeout = 10000
+
+    let pending = client.call('host', 'never')
+
+    host.closeConnection('client')
+
+    await assert.rejects(pending, error => error === 'Connection with "host" closed before "never" returned')
+    assert.equal(client.connections.get('host'), undefined)
+
+    await stop(host, client)
+
+})
+
+test('the successor of a lost host keeps the permissions and only lets the clients in for the grace period', async () => {
+
+    let { networks: [host, first, second] } = await networks(['host', 'first', 'second'], { latency: 2 })
+
+    for (let network of [host, first, second]) network.hostMigration = true
+
+    host.allow('first')
+    host.allow('second')
+    host.allow('gone')
+    host.enableHosting()
+
+    await join(first, 'host')
+    await join(second, 'host')
+
+    let uuid = await host.syncObject({ score: 0 }, { writable: 'host' })
+
+    await until(() => first.roster.includes('second') && first.rosterOptions.has(uuid) && second.syncedObjects.has(uuid))
+
+    first.roster.push('gone')
+    first.migrationGracePeriod = 200
+
+    host.peer.destroy()
+
+    await until(() => first.isHosting && first.connections.get('second')?.confirmed)
+
+    assert.equal(first.syncOptions.get(uuid).writable, 'host')
+    assert.ok(first.whitelist.includes('gone'))
+
+    await until(() => !first.whitelist.includes('gone'))
+
+    assert.ok(first.whitelist.includes('second'))
+
+    await stop(first, second)
+
+})
+
+test('array methods are sent as a single change, accepted or rejected as a whole', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    // Only the items of the client may be inserted
+    let uuid = await host.syncObject({ items: ['b', 'c', 'a'] }, { writable: (id, path, value, operation) => operation.type === 'set' || value.every(item => item !== 'host') })
+
+    let operations = []
+    host.on(NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, async (uuid, path, value, operation) => { operations.push(operation.type) })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    let items = client.syncedObjects.get(uuid).items
+
+    items.sort()
+    assert.deepEqual(items.splice(), [])
+    items.splice(1, 1, 'x', 'y')
+
+    await until(() => operations.length === 2)
+
+    assert.deepEqual(operations, ['splice', 'splice'])
+    assert.deepEqual([...host.syncedObjects.get(uuid).items], ['a', 'x', 'y', 'c'])
+
+    let rejected = new Promise(resolve => client.on(NetworkEvent.CLIENT_P2P_SYNC_REJECTED, async () => resolve()))
+
+    items.splice(0, 2, 'host')
+
+    await rejected
+
+    assert.deepEqual([...client.syncedObjects.get(uuid).items], ['a', 'x', 'y', 'c'])
+
+    await stop(host, client)
+
+})
+
+test('a failed transaction only undoes its own changes, keeping those received meanwhile', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ a: 1, b: 1, list: ['x'] })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    let failed = host.transaction(uuid, async (object) => {
+
+        object.a = 2
+        object.list.push('y')
+        delete object.b
+
+        client.syncedObjects.get(uuid).b = 5
+
+        await until(() => host.syncedObjects.get(uuid).b === 5)
+
+        throw 'failed'
+
+    })
+
+    await assert.rejects(failed, error => error === 'failed')
+
+    let expected = { a: 1, b: 5, list: ['x'] }
+
+    assert.deepEqual(JSON.parse(JSON.stringify(host.syncedObjects.get(uuid))), expected)
+    assert.deepEqual(JSON.parse(JSON.stringify(client.syncedObjects.get(uuid))), expected)
+
+    await stop(host, client)
+
+})
+
+test('a synced object is only sent to its audience, and moves along with it', async () => {
+
+    let { networks: [host, alice, bob] } = await networks(['host', 'alice', 'bob'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(alice, 'host')
+    await join(bob, 'host')
+
+    let uuid = await host.syncObject({ secret: 1 }, { audience: ['alice'] })
+
+    await until(() => alice.syncedObjects.has(uuid))
+
+    host.syncedObjects.get(uuid).secret = 2
+
+    await until(() => alice.syncedObjects.get(uuid).secret === 2)
+
+    assert.equal(bob.syncedObjects.has(uuid), false)
+
+    host.setAudience(uuid, ['bob'])
+
+    await until(() => bob.syncedObjects.has(uuid) && !alice.syncedObjects.has(uuid))
+
+    assert.equal(bob.syncedObjects.get(uuid).secret, 2)
+
+    await stop(host, alice, bob)
+
+})
+
+test('a client resumes its session after its connection drops, catching up with the changes made meanwhile', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.sessionGracePeriod = 5000
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ score: 0 })
+
+    await until(() => client.syncedObjects.has(uuid) && client.session)
+
+    let resumed = new Promise(resolve => client.on(NetworkEvent.CLIENT_P2P_RESUMED, async () => resolve()))
+    let hostResumed = new Promise(resolve => host.on(NetworkEvent.HOST_P2P_RESUMED, async () => resolve()))
+
+    // Lost without any closing message
+    client.connections.get('host').connection.close()
+
+    await until(() => !host.connections.get('client')?.connection.open)
+
+    host.syncedObjects.get(uuid).score = 1
+
+    await resumed
+    await hostResumed
+
+    await until(() => client.syncedObjects.get(uuid).score === 1)
+
+    assert.equal(host.reservedSlots(), 0)
+
+    await stop(host, client)
+
+})
+
+test('the host only lets in and shares its objects with the clients whose credentials it accepts', async () => {
+
+    let { networks: [host, good, bad] } = await networks(['host', 'good', 'bad'], { latency: 2 })
+
+    let release
+    let checked = new Promise(resolve => release = resolve)
+
+    host.useWhitelist = false
+    host.authenticate = async (id, credentials) => {
+        if (id === 'bad') await checked
+        return credentials === 'secret' || 'Wrong password'
+    }
+    host.enableHosting()
+
+    good.credentials = 'secret'
+    bad.credentials = (challenge, hostID) => `${hostID} ${challenge}`
+
+    await join(good, 'host')
+
+    let rejected = new Promise(resolve => bad.on(NetworkEvent.CLIENT_P2P_REJECTED, async (reason) => resolve(reason)))
+
+    bad.connectTo('host')
+
+    await until(() => host.connections.get('bad')?.challenge)
+
+    // Synced while the credentials of the bad client are being checked
+    let uuid = await host.syncObject({ secret: 1 })
+
+    await until(() => good.syncedObjects.has(uuid))
+
+    release()
+
+    assert.equal(await rejected, 'Wrong password')
+    assert.equal(bad.syncedObjects.has(uuid), false)
+
+    await stop(host, good, bad)
+
+})
+
+test('only the members of a room receive its objects and messages', async () => {
+
+    let { networks: [host, alice, bob] } = await networks(['host', 'alice', 'bob'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(alice, 'host')
+    await join(bob, 'host')
+
+    let lobby = host.room('lobby')
+    lobby.joinable = true
+
+    let uuid = await lobby.syncObject({ topic: 'games' })
+
+    alice.joinRoom('lobby')
+    bob.joinRoom('private')
+
+    await until(() => alice.joinedRooms.has('lobby') && alice.syncedObjects.has(uuid))
+
+    let received = []
+    host.on(NetworkEvent.HOST_P2P_RECEIVED_DATA, async (data, room) => { received.push([data, room]) })
+    bob.on(NetworkEvent.CLIENT_P2P_RECEIVED_DATA, async (data) => { received.push([data, 'bob']) })
+
+    alice.sendToRoom('lobby', 'hello')
+
+    await until(() => received.length)
+
+    assert.deepEqual(received, [['hello', 'lobby']])
+    assert.equal(bob.syncedObjects.has(uuid), false)
+    assert.equal(host.rooms.has('private'), false)
+
+    alice.leaveRoom('lobby')
+
+    await until(() => !alice.joinedRooms.has('lobby') && !alice.syncedObjects.has(uuid))
+
+    assert.equal(lobby.has('alice'), false)
+
+    await stop(host, alice, bob)
+
+})
+
+test('the host refuses the objects a client tries to sync or unsync', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ score: 0 })
+
+    let errors = []
+    host.on(NetworkEvent.PEER_PROTOCOL_ERROR, async (error) => { errors.push(error) })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    client.sendTo('host', { evt: 'Network$NEWSYNC', uuid: 'forged', object: JSON.stringify({ score: 9 }) })
+    client.sendTo('host', { evt: 'Network$UNSYNC', uuid })
+
+    await until(() => errors.length === 2)
+
+    assert.ok(!host.syncedObjects.has('forged'))
+    assert.ok(host.syncedObjects.has(uuid))
+
+    await stop(host, client)
+
+})
+
+test('the host forgets the versions of the paths no client can base a change on anymore', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({}, { merge: (path, current, incoming) => incoming })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    for (let index = 0; index < 20; index++) {
+
+        client.syncedObjects.get(uuid)['key' + index] = index
+        await until(() => host.syncedObjects.get(uuid)['key' + index] === index && client.syncStates.get(uuid).pending.length === 0)
+
+    }
+
+    assert.ok(host.syncStates.get(uuid).pathVersions.size <= 1)
+
+    await stop(host, client)
+
+})
+
+test('peers which do not announce timed heartbeats only receive the plain heartbeat', async () => {
+
+    let { transport, networks: [host] } = await networks(['host'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    let errors = []
+    host.on(NetworkEvent.PEER_PROTOCOL_ERROR, async (error) => { errors.push(error) })
+
+    // An older peer, driven by hand
+    let peer = transport.createPeer('legacy')
+    await until(() => !peer.disconnected)
+
+    let connection = peer.connect('host', { serialization: 'json', reliable: true, metadata: {} })
+    let received = []
+    connection.on('data', data => received.push(data))
+
+    await until(() => received.includes('Network$CONFIRM'))
+
+    connection.send('Network$IAMHERE')
+
+    await until(() => received.includes('Network$IAMHERE'), 3000)
+
+    assert.ok(!received.some(data => data?.evt === 'Network$IAMHERE'))
+    assert.deepEqual(errors, [])
+
+    peer.destroy()
+    await stop(host)
+
+})
+
+test('the plain closing message of an older peer is a normal closing without reason', async () => {
+
+    let { transport, networks: [host] } = await networks(['host'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    let closed = new Promise(resolve => host.on(NetworkEvent.HOST_P2P_CLOSED, async (close) => resolve(close)))
+
+    let peer = transport.createPeer('legacy')
+    await until(() => !peer.disconnected)
+
+    let connection = peer.connect('host', { serialization: 'json', reliable: true, metadata: {} })
+    let received = []
+    connection.on('data', data => received.push(data))
+
+    await until(() => received.includes('Network$CONFIRM'))
+
+    connection.send('Network$CLOSE')
+
+    assert.deepEqual(await closed, { code: CloseCode.NORMAL, reason: '', initiatedBy: 'legacy' })
+
+    peer.destroy()
+    await stop(host)
+
+})
+
+test('listing the hosts of a directory before the peer is ready rejects', async () => {
+
+    let network = new Network(new LoopbackTransport())
+    let listing
+
+    assert.doesNotThrow(() => { listing = network.listHosts('directory') })
+    await assert.rejects(listing, error => error === 'Peer not ready')
+
+})
+
+test('the plain messages of older peers pass validation, unknown ones do not', () => {
+
+    let network = new Network(new LoopbackTransport())
+
+    for (let message of ['Network$IAMHERE', 'Network$CLOSE', 'Network$CONFIRM'])
+        assert.equal(network.validateMessage(message), null)
+
+    assert.equal(network.validateMessage('Network$UNKNOWN'), 'Unknown message "Network$UNKNOWN"')
+
+})
+
+test('messages are defined with valid schemas only', () => {
+
+    let network = new Network(new LoopbackTransport())
+
+    assert.throws(() => network.defineMessage('move', { x: 'int' }), error => error === 'Unknown schema type "int"')
+    assert.throws(() => network.defineMessage('path', ['string', 'number']))
+
+    network.defineMessage('move', { x: 'integer', y: 'number|null?', tags: ['string'] })
+
+    assert.equal(network.messageTypes.has('move'), true)
+
+})
+
+test('the size of the messages received is counted without serializing them again', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let connection = host.connections.get('client')
+    let before = connection.received.bytes
+
+    client.sendTo('host', { text: 'x'.repeat(1000) })
+
+    await until(() => connection.received.bytes - before >= 1000)
+
+    assert.ok(connection.received.bytes - before < 1100)
+
+    await stop(host, client)
+
+})
+
+test('errors of watchers called on a local change are reported as errors of the peer', async () => {
+
+    let network = new Network(new LoopbackTransport())
+
+    let uuid = await network.syncObject({ score: 0 })
+
+    let reported = new Promise(resolve => network.on(NetworkEvent.PEER_ERROR, async (error) => resolve(error)))
+
+    network.watch(uuid, 'score', () => { throw 'Watcher failed' })
+    network.syncedObjects.get(uuid).score = 1
+
+    assert.equal(await reported, 'Watcher failed')
+
+})
+
+test('watchers match the changes of other peers through wildcards, and their errors are reported', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ players: { a: { score: 0 }, b: { score: 0 } } })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    let changes = []
+    let errors = []
+
+    client.watch(uuid, 'players.*.score', () => { throw 'Watcher failed' })
+    client.watch(uuid, 'players.*.score', (value, previous, path) => { changes.push([path.join('.'), previous, value]) })
+    client.on(NetworkEvent.PEER_ERROR, async (error) => { errors.push(error) })
+
+    let players = host.syncedObjects.get(uuid).players
+
+    players.a.score = 1
+    players.c = { score: 2 }
+    delete players.b
+
+    await until(() => changes.length === 3)
+
+    assert.deepEqual(changes, [['players.a.score', 0, 1], ['players.c.score', undefined, 2], ['players.b.score', 0, undefined]])
+    assert.deepEqual(errors, ['Watcher failed', 'Watcher failed', 'Watcher failed'])
+
+    await stop(host, client)
+
+})
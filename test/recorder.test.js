@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LoopbackTransport, Network } from '../js/Network.js'
+import { Recorder, Replayer } from '../js/Recorder.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('a recording keeps the latest entries up to its limit', () => {
+
+    let recorder = new Recorder(new Network(new LoopbackTransport()))
+
+    recorder.maxEntries = 10
+    recorder.start()
+
+    for (let index = 0; index < 100; index++) recorder.mark(index)
+
+    let { entries } = recorder.export()
+
+    assert.equal(entries.length, 10)
+    assert.deepEqual(entries.map(entry => entry.data), [90, 91, 92, 93, 94, 95, 96, 97, 98, 99])
+    assert.ok(recorder.entries.length <= 11)
+
+})
+
+test('the chunks of transfers are recorded without their data', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let recorder = new Recorder(client)
+    recorder.start()
+
+    host.transferChunkSize = 64
+
+    await host.sendLarge('client', { text: 'x'.repeat(500) })
+
+    let chunks = recorder.entries.filter(entry => entry.data?.evt === 'Network$CHUNK')
+
+    assert.ok(chunks.length > 0)
+    assert.ok(chunks.every(entry => entry.data.data === undefined && entry.data.size > 0))
+
+    await stop(host, client)
+
+})
+
+test('a recorded host session replayed into a new network ends with the same synced objects', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    let recorder = new Recorder(host)
+    recorder.start()
+
+    let uuid = await host.syncObject({ score: 0, players: [] })
+
+    await join(client, 'host')
+    await until(() => client.syncedObjects.has(uuid))
+
+    host.syncedObjects.get(uuid).score = 3
+    client.syncedObjects.get(uuid).players.push('client')
+
+    await until(() => host.syncedObjects.get(uuid).players.length === 1)
+
+    client.syncedObjects.get(uuid).players.unshift('first')
+    delete host.syncedObjects.get(uuid).score
+
+    await until(() => host.syncedObjects.get(uuid).players.length === 2 && client.syncedObjects.get(uuid).score === undefined)
+
+    let recording = recorder.export()
+    let expected = JSON.parse(JSON.stringify(host.syncedObjects.get(uuid)))
+
+    await stop(host, client)
+
+    let replayer = new Replayer(new Network(), recording)
+
+    await replayer.start()
+    await replayer.play()
+
+    assert.deepEqual(JSON.parse(JSON.stringify(replayer.network.syncedObjects.get(uuid))), expected)
+
+    replayer.stop()
+
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Simulation, diffState, patchState } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('a state patched with its difference to another one becomes equal to it', () => {
+
+    let from = { players: { a: { x: 1 }, b: { x: 2 } }, items: [1, 2] }
+    let to = { players: { a: { x: 3 } }, items: [1, 2, 3], round: 2 }
+
+    assert.deepEqual(patchState(structuredClone(from), diffState(from, to)), to)
+
+})
+
+test('a client predicts its own state and converges to the snapshots and deltas of the host', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 5 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    let step = (state, inputs) => {
+        for (let [id, input] of inputs) state.positions[id] = (state.positions[id] ?? 0) + input.dx
+    }
+
+    let hostSimulation = new Simulation(host, { step, state: { positions: {} }, tickRate: 50, keyframeInterval: 4 })
+    let clientSimulation = new Simulation(client, { step, tickRate: 50 })
+
+    let deltas = 0
+    let sendToAll = host.sendToAll.bind(host)
+    host.sendToAll = (data) => {
+        if (data?.evt === 'Network$SNAPSHOT' && !data.keyframe) deltas++
+        sendToAll(data)
+    }
+
+    hostSimulation.start()
+    clientSimulation.start()
+    clientSimulation.setInput({ dx: 1 })
+
+    // The inputs of the client are applied before the host simulates them
+    await until(() => clientSimulation.predicted && clientSimulation.predicted.positions.client > (clientSimulation.state.positions.client ?? 0))
+
+    clientSimulation.setInput({ dx: 0 })
+
+    let same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+    await until(() => hostSimulation.state.positions.client > 0 &&
+        same(clientSimulation.state, hostSimulation.state) && same(clientSimulation.predicted, hostSimulation.state))
+
+    assert.ok(deltas > 0)
+
+    hostSimulation.stop()
+    clientSimulation.stop()
+
+    await stop(host, client)
+
+})
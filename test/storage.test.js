@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryStorage } from '../js/Network.js'
+import { networks, join, stop, until } from './helpers.js'
+
+test('a host saves its synced objects and a new host restores them for its clients', async () => {
+
+    let storage = new MemoryStorage()
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.storage = storage
+    host.enableHosting()
+
+    assert.equal(await host.load(), false)
+
+    await join(client, 'host')
+
+    let uuid = await host.syncObject({ score: 0, players: ['client'] }, { writable: 'host', audience: ['client'] })
+
+    await until(() => client.syncedObjects.has(uuid))
+
+    host.syncedObjects.get(uuid).score = 5
+
+    await until(() => client.syncedObjects.get(uuid).score === 5)
+
+    let version = host.syncStates.get(uuid).version
+
+    await host.save()
+    await stop(host, client)
+
+    // Another session, with the same storage
+    let { networks: [restored, returning] } = await networks(['host', 'client'], { latency: 2 })
+
+    restored.useWhitelist = false
+    restored.storage = storage
+    restored.enableHosting()
+
+    assert.equal(await restored.load({ [uuid]: { owner: 'client' } }), true)
+
+    assert.deepEqual(JSON.parse(JSON.stringify(restored.syncedObjects.get(uuid))), { score: 5, players: ['client'] })
+    assert.equal(restored.syncStates.get(uuid).version, version)
+    assert.deepEqual(restored.syncOptions.get(uuid), { writable: 'host', owner: 'client', audience: ['client'] })
+
+    await join(returning, 'host')
+
+    await until(() => returning.syncedObjects.has(uuid))
+
+    assert.equal(returning.syncedObjects.get(uuid).score, 5)
+
+    await stop(restored, returning)
+
+})
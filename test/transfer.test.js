@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { NetworkEvent } from '../js/Network.js'
+import { networks, join, stop } from './helpers.js'
+
+test('a transfer completes when the sender has a smaller window than the receiver', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    host.transferChunkSize = 16
+    host.transferWindow = 2
+    client.transferWindow = 64
+
+    let received = new Promise(resolve => client.on(NetworkEvent.TRANSFER_COMPLETED, async (transfer, payload) => resolve(payload)))
+
+    let data = { text: 'x'.repeat(500) }
+
+    await host.sendLarge('client', data)
+
+    assert.deepEqual(await received, data)
+
+    await stop(host, client)
+
+})
+
+test('a transfer the receiver stops acknowledging is cancelled', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    host.transferChunkSize = 16
+    host.transferStallTimeout = 200
+
+    // The receiver ignores everything about transfers
+    client.receiveTransfer = async () => { }
+
+    await assert.rejects(host.sendLarge('client', { text: 'x'.repeat(500) }), error => error === 'stalled')
+
+    assert.equal(host.transfers.size, 0)
+
+    await stop(host, client)
+
+})
+
+test('transfers too large or with chunks longer than announced are cancelled by the receiver', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    client.maxTransferSize = 100
+
+    await assert.rejects(host.sendLarge('client', { text: 'x'.repeat(500) }), error => error === 'too large')
+
+    let cancelled = new Promise(resolve => client.on(NetworkEvent.TRANSFER_CANCELLED, async (transfer, reason) => resolve(reason)))
+
+    // Announces chunks of 4 bytes, then sends 8
+    host.sendTo('client', { evt: 'Network$TRANSFER', id: 'forged', kind: 'data', meta: {}, size: 8, chunkSize: 4, hash: '' })
+    host.sendTo('client', { evt: 'Network$CHUNK', id: 'forged', index: 0, data: btoa('12345678') })
+
+    assert.equal(await cancelled, 'invalid chunk')
+    assert.equal(client.transfers.size, 0)
+
+    await stop(host, client)
+
+})
+
+test('incoming transfers are charged to the budgets of the connection and limited in number', async () => {
+
+    let { networks: [host, client] } = await networks(['host', 'client'], { latency: 2 })
+
+    host.useWhitelist = false
+    host.enableHosting()
+
+    await join(client, 'host')
+
+    host.transferChunkSize = 64
+    client.maxIncomingTransfers = 1
+
+    let first = host.sendLarge('client', { text: 'x'.repeat(500) })
+
+    await assert.rejects(host.sendLarge('client', { text: 'y'.repeat(500) }), error => error === 'too many transfers')
+    await first
+
+    client.rateLimits = { bytes: 1000 }
+    client.ratePolicy = 'drop'
+
+    await assert.rejects(host.sendLarge('client', { text: 'z'.repeat(5000) }), error => error === 'rate limited')
+
+    assert.ok(client.connections.get('host').dropped > 0)
+
+    await stop(host, client)
+
+})
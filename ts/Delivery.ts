@@ -0,0 +1,157 @@
+/**
+ * How a message sent with a delivery class reaches the remote peer:
+ * - 'reliable-ordered' messages are acknowledged, sent again until they are, and handled in the order they were sent
+ * - 'reliable-unordered' messages are acknowledged and sent again, but handled as soon as they arrive
+ * - 'unreliable-sequenced' messages may be lost, and are dropped when a more recent one has already been handled
+ */
+export type DeliveryClass = 'reliable-ordered' | 'reliable-unordered' | 'unreliable-sequenced'
+
+/**
+ * Short name of every delivery class on the wire
+ */
+const channels: { [delivery in DeliveryClass]: 'o' | 'u' | 's' } = {
+    'reliable-ordered': 'o',
+    'reliable-unordered': 'u',
+    'unreliable-sequenced': 's'
+}
+
+/**
+ * Messages received this far ahead of the next expected one are ignored, they are sent again later.
+ * Bounds the memory a peer can make the other one use.
+ */
+const receiveWindow = 1024
+
+/**
+ * The Delivery class numbers the messages sent with a delivery class, and keeps the state needed
+ *    to acknowledge, send again, reorder and deduplicate them.
+ * Each side of a connection has its own, both are lost with the connection.
+ */
+export class Delivery {
+
+    unacknowledged: Map<string, { packet: any, sentAt: number, attempts: number }> = new Map()
+
+    #seq: { o: number, u: number, s: number } = { o: 0, u: 0, s: 0 }
+
+    #nextOrdered: number = 0 // Every ordered message before it has been handled
+    #held: Map<number, any> = new Map() // Ordered messages received ahead of the next one
+    #unorderedBase: number = 0 // Every unordered message before it has been handled
+    #unorderedSeen: Set<number> = new Set() // Unordered messages handled from the base
+    #lastSequenced: number = -1
+
+    #acks: { o: number[], u: number[] } = { o: [], u: [] }
+
+    /**
+     * Returns the packet carrying the given message, kept until acknowledged when it is reliable
+     */
+    wrap(data: any, delivery: DeliveryClass): any {
+
+        let c = channels[delivery]
+        let packet = { evt: 'Network$PACKET', c, seq: this.#seq[c]++, data }
+
+        if (c !== 's')
+            this.unacknowledged.set(c + packet.seq, { packet, sentAt: Date.now(), attempts: 1 })
+
+        return packet
+
+    }
+
+    /**
+     * Returns the messages of a received packet to handle now, which may include held ones or none at all
+     */
+    receive(packet: any): any[] {
+
+        let { c, seq, data } = packet
+
+        if (c === 's') {
+
+            if (seq <= this.#lastSequenced) return []
+
+            this.#lastSequenced = seq
+            return [data]
+
+        }
+
+        if (c === 'u') {
+
+            if (seq >= this.#unorderedBase + receiveWindow) return []
+
+            // Acknowledged again in case the previous acknowledgement has been lost
+            this.#acks.u.push(seq)
+
+            if (seq < this.#unorderedBase || this.#unorderedSeen.has(seq)) return []
+
+            this.#unorderedSeen.add(seq)
+
+            while (this.#unorderedSeen.delete(this.#unorderedBase))
+                this.#unorderedBase++
+
+            return [data]
+
+        }
+
+        if (seq >= this.#nextOrdered + receiveWindow) return []
+
+        this.#acks.o.push(seq)
+
+        if (seq < this.#nextOrdered) return []
+
+        this.#held.set(seq, data)
+
+        let messages: any[] = []
+
+        while (this.#held.has(this.#nextOrdered)) {
+
+            messages.push(this.#held.get(this.#nextOrdered))
+            this.#held.delete(this.#nextOrdered++)
+
+        }
+
+        return messages
+
+    }
+
+    /**
+     * Returns the acknowledgement of the packets received since the last one, or null if there is none
+     */
+    takeAcks(): any {
+
+        if (!this.#acks.o.length && !this.#acks.u.length) return null
+
+        let ack = { evt: 'Network$ACK', o: this.#acks.o, u: this.#acks.u }
+
+        this.#acks = { o: [], u: [] }
+
+        return ack
+
+    }
+
+    /**
+     * Forget the packets acknowledged by the remote peer
+     */
+    acknowledge(ack: any): void {
+
+        for (let seq of ack.o ?? []) this.unacknowledged.delete('o' + seq)
+        for (let seq of ack.u ?? []) this.unacknowledged.delete('u' + seq)
+
+    }
+
+    /**
+     * Returns the packets which have not been acknowledged within the given delay, to be sent again
+     */
+    due(delay: number, now: number = Date.now()): any[] {
+
+        let packets: any[] = []
+
+        for (let entry of this.unacknowledged.values()) if (now - entry.sentAt >= delay) {
+
+            entry.sentAt = now
+            entry.attempts++
+            packets.push(entry.packet)
+
+        }
+
+        return packets
+
+    }
+
+}
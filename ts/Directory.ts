@@ -0,0 +1,135 @@
+import type { PeerJSOption } from "peerjs"
+import { Transport, TransportConnection, TransportPeer } from "./Transport.js"
+
+/**
+ * A host as advertised to a directory
+ */
+export interface DirectoryEntry {
+    id: string
+    name: string
+    players: number
+    maxClient: number
+    acceptConnections: boolean
+    metadata: any
+}
+
+/**
+ * The Directory class is a well-known peer hosts register with, so that clients can find them.
+ * Hosts advertise themselves every second using network.advertise(), entries are dropped
+ *    when their host stops doing so for this.timeout ms, clients query the list using network.listHosts().
+ * Started with the options of a local PeerServer, it works entirely offline.
+ */
+export class Directory {
+
+    transport: Transport | null
+    peer: TransportPeer | null = null
+    id: string | null = null
+
+    entries: Map<string, { entry: DirectoryEntry, connection: TransportConnection, lastSeen: number }> = new Map()
+    timeout: number = 6000
+    intervalID: ReturnType<typeof setInterval> | null = null
+
+    constructor(transport: Transport | null = null) {
+
+        this.transport = transport
+
+    }
+
+    /**
+     * Register the directory under the given id, resolves once it can be reached
+     */
+    async start(id: string, options: PeerJSOption = {}): Promise<void> {
+
+        if (!this.transport)
+            this.transport = new (await import('./PeerJSTransport.js')).PeerJSTransport()
+
+        let peer = this.transport.createPeer(id, options)
+
+        peer.on('connection', (conn) => this.#connection(conn))
+
+        await new Promise<void>((resolve, reject) => {
+
+            peer.on('open', () => resolve())
+            peer.on('error', reject)
+
+        })
+
+        this.peer = peer
+        this.id = peer.id
+
+        this.intervalID = setInterval(this.#prune.bind(this), 1000)
+
+    }
+
+    /**
+     * Forget every host and release the id of the directory
+     */
+    stop(): void {
+
+        if (this.intervalID) clearInterval(this.intervalID)
+
+        this.intervalID = null
+        this.entries.clear()
+
+        this.peer?.destroy()
+        this.peer = null
+
+    }
+
+    /**
+     * Returns the hosts currently advertised
+     */
+    list(): DirectoryEntry[] {
+
+        return [...this.entries.values()].map(({ entry }) => entry)
+
+    }
+
+    #connection(conn: TransportConnection): void {
+
+        conn.on('data', (data: any) => {
+
+            if (data?.evt === 'Directory$REGISTER')
+                this.entries.set(conn.peer, {
+                    entry: {
+                        id: conn.peer,
+                        name: String(data.name ?? conn.peer),
+                        players: Number(data.players) || 0,
+                        maxClient: Number(data.maxClient) || 0,
+                        acceptConnections: !!data.acceptConnections,
+                        metadata: data.metadata ?? {}
+                    },
+                    connection: conn,
+                    lastSeen: Date.now()
+                })
+
+            else if (data?.evt === 'Directory$UNREGISTER')
+                this.entries.delete(conn.peer)
+
+            else if (data?.evt === 'Directory$LIST')
+                conn.send({ evt: 'Directory$HOSTS', hosts: this.list() })
+
+        })
+
+        conn.on('close', () => {
+
+            if (this.entries.get(conn.peer)?.connection === conn)
+                this.entries.delete(conn.peer)
+
+        })
+
+    }
+
+    /**
+     * Drop the hosts which stopped advertising themselves
+     */
+    #prune(): void {
+
+        let now = Date.now()
+
+        for (let [id, { lastSeen }] of this.entries)
+            if (now - lastSeen > this.timeout) this.entries.delete(id)
+
+    }
+
+}
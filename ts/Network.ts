@@ -1,10 +1,165 @@
-import { Peer, DataConnection, PeerJSOption } from "peerjs"
+import type { PeerJSOption } from "peerjs"
+import { Transport, TransportConnection, TransportMediaConnection, TransportPeer } from "./Transport.js"
+import { Transfer, sha256 } from "./Transfer.js"
+import { DirectoryEntry } from "./Directory.js"
+import { Schema, checkSchema, optional, validate } from "./Schema.js"
+import type { Simulation } from "./Simulation.js"
+import { Codec } from "./Codec.js"
+import { Delivery, DeliveryClass } from "./Delivery.js"
+import { NetworkSnapshot, SnapshotStorage } from "./Storage.js"
+import type { Recorder } from "./Recorder.js"
+
+export * from "./Transport.js"
+export * from "./LoopbackTransport.js"
+export { Transfer } from "./Transfer.js"
+export * from "./Directory.js"
+export * from "./Schema.js"
+export * from "./Simulation.js"
+export { Codec } from "./Codec.js"
+export * from "./Delivery.js"
+export * from "./Storage.js"
+export * from "./Recorder.js"
 
 const proxyCache: WeakMap<object, object> = new WeakMap()
 
+/**
+ * Where a proxyfied object sits in its root object.
+ * Nested objects keep a link to their parent rather than their full path,
+ *    so that an item moved within an array still reports its current index.
+ */
+interface ProxyContext {
+    root: any
+    onchange: SyncChangeCallback
+    parent: object | null
+    key: string | symbol
+    path: (string | symbol)[]
+}
+
+const proxyContexts: WeakMap<object, ProxyContext> = new WeakMap()
+
+/**
+ * Describes how a synced object has been modified at a given path.
+ * 'set' and 'delete' target the property at the path, the others target the array at the path.
+ */
+export type SyncOperation =
+    { type: 'set' } |
+    { type: 'delete' } |
+    { type: 'insert', index: number } |
+    { type: 'remove', index: number, count: number } |
+    { type: 'splice', index: number, count: number } |
+    { type: 'move', from: number, to: number }
+
+/**
+ * Called with the value set, undefined when deleted, the inserted or removed items, the items replacing the removed ones
+ *    for a splice or the moved item, followed by the replaced value or the items removed by a splice
+ */
+export type SyncChangeCallback = (root: any, path: (string | symbol)[], value: any, operation: SyncOperation, previous?: any) => void
+
+const arrayMutators: Set<string | symbol> = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'reverse', 'sort', 'fill', 'copyWithin'])
+
+/**
+ * Returns the current path of a proxyfied object in its root
+ */
+function pathOf(object: object): (string | symbol)[] {
+
+    let context = proxyContexts.get(object)
+
+    if (!context) return []
+    if (!context.parent) return [...context.path]
+
+    let key = context.key
+
+    if (Array.isArray(context.parent)) {
+
+        let index = context.parent.indexOf(object)
+        if (index !== -1) key = String(index)
+
+    }
+
+    return [...pathOf(context.parent), key]
+
+}
+
+/**
+ * Returns a function applying the given array method on the raw array,
+ *    reporting it as a single operation instead of a burst of index and length changes,
+ *    so that it is accepted or rejected as a whole
+ */
+function arrayMutator(array: any[], method: string | symbol): (...args: any[]) => any {
+
+    return (...args: any[]) => {
+
+        let { root, onchange } = proxyContexts.get(array)!
+        let path = pathOf(array)
+
+        switch (method) {
+
+            case 'push':
+            case 'unshift': {
+
+                let index = method === 'push' ? array.length : 0
+                let result = array[method](...args)
+
+                if (args.length) onchange(root, path, args, { type: 'insert', index })
+
+                return result
+
+            }
+
+            case 'pop':
+            case 'shift': {
+
+                if (!array.length) return undefined
+
+                let index = method === 'pop' ? array.length - 1 : 0
+                let result = array[method]()
+
+                onchange(root, path, [result], { type: 'remove', index, count: 1 })
+
+                return result
+
+            }
+
+            case 'splice': {
+
+                // As the native splice, nothing is removed without any argument
+                if (!args.length) return []
+
+                let [start, deleteCount, ...items] = args
+                let index = start < 0 ? Math.max(array.length + start, 0) : Math.min(start ?? 0, array.length)
+
+                let removed = args.length < 2 ? array.splice(index) : array.splice(index, deleteCount, ...items)
+
+                if (removed.length && items.length) onchange(root, path, items, { type: 'splice', index, count: removed.length }, removed)
+                else if (removed.length) onchange(root, path, removed, { type: 'remove', index, count: removed.length })
+                else if (items.length) onchange(root, path, items, { type: 'insert', index })
+
+                return removed
+
+            }
+
+            default: {
+
+                // reverse, sort, fill and copyWithin rewrite the whole array
+                let previous = [...array]
+
+                ;(array as any)[method](...args)
+
+                if (array.length) onchange(root, path, [...array], { type: 'splice', index: 0, count: array.length }, previous)
+
+                return proxyCache.get(array)
+
+            }
+
+        }
+
+    }
+
+}
+
 export function proxyfy<T extends object>(
     object: T,
-    onchange: (root: any, path: (string | symbol)[], value: any) => void,
+    onchange: SyncChangeCallback,
     root?: any,
     path: (string | symbol)[] = []
 ): T {
@@ -12,21 +167,35 @@ export function proxyfy<T extends object>(
     if (!root)
         root = object
 
+    if (!proxyContexts.has(object))
+        proxyContexts.set(object, { root, onchange, parent: null, key: path[path.length - 1], path })
+
     let proxy = new Proxy(object, {
         get(target, property) {
             const value = target[property]
             if (typeof value === 'object' && value !== null) {
-                if (proxyCache.has(value))
-                    return proxyCache.get(value)
-                else
-                    return proxyfy(value, onchange, root, [...path, property])
+                let child = proxyCache.get(value) ?? proxyfy(value, onchange, root)
+                let context = proxyContexts.get(value)!
+                context.parent = target
+                context.key = property
+                return child
             }
+            if (Array.isArray(target) && typeof value === 'function' && arrayMutators.has(property))
+                return arrayMutator(target, property)
             return value
         },
 
         set(target, property, value) {
+            let previous = target[property]
             let res = Reflect.set(target, property, value)
-            onchange(root, [...path, property], value)
+            onchange(root, [...pathOf(target), property], value, { type: 'set' }, previous)
+            return res
+        },
+
+        deleteProperty(target, property) {
+            let previous = target[property]
+            let res = Reflect.deleteProperty(target, property)
+            onchange(root, [...pathOf(target), property], undefined, { type: 'delete' }, previous)
             return res
         }
     })
@@ -42,594 +211,4384 @@ export function unproxyfy<T extends object>(proxy: T): T | null {
     return proxyCache.get(proxy) as T ?? null
 }
 
-export enum NetworkEvent {
+/**
+ * Move an item of an array from one index to another.
+ * When used on a proxyfied array, it is reported as a single 'move' operation.
+ */
+export function moveItem(array: any[], from: number, to: number): void {
 
-    PEER_OPENED,  // id has been obtained
-    UNAVAILABLE_ID,  // id could not be obtained
-    INVALID_ID, // id is invalid
-    PEER_CONNECTION,// A user is connecting to you
-    PEER_CLOSED, // When peer is destroyed
-    PEER_DISCONNECT, // Disconnected from signaling server
-    PEER_ERROR, // Fatal errors moslty
+    let target = proxyCache.get(array) as any[] | undefined
+    let context = target && proxyCache.get(target) === array ? proxyContexts.get(target) : undefined
 
-    HOST_P2P_OPENED, // A connexion has been opened on the host/server side
-    HOST_P2P_CLOSED,  // A connexion has been closed on the host/server side
-    HOST_P2P_RECEIVED_DATA,
-    HOST_P2P_SYNCED_DATA,
-    HOST_P2P_SYNCED_DATA_CHANGED,
-    HOST_P2P_UNSYNCED_DATA,
+    target = context ? target! : array
 
-    CLIENT_P2P_OPENED,
-    CLIENT_P2P_CLOSED,
-    CLIENT_P2P_RECEIVED_DATA,
-    CLIENT_P2P_CONFIRMED_CONNECTION,
-    CLIENT_P2P_SYNCED_DATA,
-    CLIENT_P2P_SYNCED_DATA_CHANGED,
-    CLIENT_P2P_UNSYNCED_DATA,
+    target.splice(to, 0, ...target.splice(from, 1))
 
-    HOSTING_START,
-    HOSTING_END,
+    if (context) context.onchange(context.root, pathOf(target), target[to], { type: 'move', from, to })
 
 }
 
 /**
- * The Network class uses PeerJS to manage P2P connection.
- * On top of peerjs it manages timeouts conditional hosting (whitelist blacklist)
- *    and auto rejection against unwanted connections.
+ * Apply a change reported by a proxyfied object onto the matching raw object
  */
-export class Network {
+export function applyChange(object: any, path: (string | symbol)[], value: any, operation: SyncOperation = { type: 'set' }): void {
 
-    peer: Peer | null = null
-    id: string | null = null
-    isHosting: boolean = false
-    maxClient: number = 15
+    let keys = [...path]
 
-    acceptConnections: boolean = true
-    useWhitelist: boolean = true
-    whitelist: string[] = []
-    blacklist: string[] = []
+    if (operation.type === 'set' || operation.type === 'delete') {
 
-    connections: Map<string, NetworkConnection> = new Map()
+        let key = keys.pop()!
 
-    callbacks: Map<NetworkEvent, ((data: any) => Promise<void>)[]> = new Map()
+        for (let segment of keys)
+            object = object[segment]
 
-    syncedObjects: Map<string, any> = new Map()
+        if (operation.type === 'set') object[key] = value
+        else delete object[key]
 
-    /**
-     * Returns true if there is any connection currenlty active
-     */
-    hasConnections(): boolean { return this.connections.size !== 0 }
+        return
 
-    /**
-     * Returns true if the network is hosting and the number of connection currently active is at least equal to this.maxClient
-     */
-    isFull(): boolean { return this.connections.size >= this.maxClient }
+    }
 
-    /**
-     * Connect to the signaling server 
-     */
-    start(id: string, options: PeerJSOption = {}): void {
+    for (let segment of keys)
+        object = object[segment]
 
-        let peer = new Peer(id, options)
+    if (operation.type === 'insert') object.splice(operation.index, 0, ...value)
+    else if (operation.type === 'remove') object.splice(operation.index, operation.count)
+    else if (operation.type === 'splice') object.splice(operation.index, operation.count, ...value)
+    else object.splice(operation.to, 0, ...object.splice(operation.from, 1))
 
-        peer.on('open', async () => {
+}
 
-            this.peer = peer
-            this.id = peer.id
+/**
+ * A single change made to a synced object, as sent in batches
+ */
+export interface SyncChange {
+    path: (string | symbol)[]
+    value: any
+    operation: SyncOperation
+}
 
-            for (let callback of this.getCallbacks(NetworkEvent.PEER_OPENED))
-                await callback.call(this, this.id)
+/**
+ * The changes undoing those of a transaction, and the paths changed meanwhile by the other peers
+ *    along with how many changes the transaction had made by then
+ */
+interface Rollback {
+    changes: SyncChange[]
+    received: { path: string[], after: number }[]
+}
 
-        })
+/**
+ * The change undoing the given one, given the value it replaced or the items a splice removed
+ */
+function invertChange(path: (string | symbol)[], value: any, operation: SyncOperation, previous: any): SyncChange {
+
+    switch (operation.type) {
+        case 'set':
+        case 'delete':
+            return previous === undefined ? { path, value: undefined, operation: { type: 'delete' } } : { path, value: previous, operation: { type: 'set' } }
+        case 'insert':
+            return { path, value, operation: { type: 'remove', index: operation.index, count: value.length } }
+        case 'remove':
+            return { path, value, operation: { type: 'insert', index: operation.index } }
+        case 'splice':
+            return { path, value: previous, operation: { type: 'splice', index: operation.index, count: value.length } }
+        case 'move':
+            return { path, value, operation: { type: 'move', from: operation.to, to: operation.from } }
+    }
 
-        peer.on('connection', async (conn) => {
+}
 
-            let networkConnection = new NetworkConnection(conn, true, this)
+/**
+ * Who is allowed to modify a synced object, enforced by the host:
+ * 'host' only the host, 'owner' the host and the owner of the object, 'all' anybody,
+ *    or a function returning true if the given peer may apply the given change.
+ */
+export type SyncWritePermission = 'host' | 'owner' | 'all' | ((peerId: string, path: (string | symbol)[], value: any, operation: SyncOperation) => boolean)
 
-            this.connections.set(networkConnection.id, networkConnection)
+/**
+ * Called by the host when a client changes a path that has been changed since the version the client knew,
+ *    returns the value to keep. Without it, the last change received by the host wins.
+ */
+export type SyncMergeFunction = (path: (string | symbol)[], current: any, incoming: any, peerId: string) => any
 
-            for (let callback of this.getCallbacks(NetworkEvent.PEER_CONNECTION))
-                await callback.call(this, networkConnection)
-        })
+/**
+ * Called with a copy of the new value at a watched path, a copy of the previous one and the path itself,
+ *    undefined standing for a value which does not exist
+ */
+export type WatchHandler = (value: any, previous: any, path: string[]) => void | Promise<void>
 
-        peer.on('close', async () => {
+/**
+ * Which peers receive a synced object: a list of peer ids or a function returning true for the peers that should
+ */
+export type SyncAudience = string[] | ((peerId: string) => boolean)
+
+export interface SyncOptions {
+    writable?: SyncWritePermission
+    owner?: string
+    merge?: SyncMergeFunction
+    audience?: SyncAudience
+    room?: string // Only the members of this room can see the object, see Room
+}
 
-            for (let callback of this.getCallbacks(NetworkEvent.PEER_CLOSED))
-                await callback.call(this)
+/**
+ * Ordering information of a synced object.
+ * The host numbers every change it accepts and sends it back to every client, including its author.
+ * Clients keep the state as ordered by the host in confirmed,
+ *    and replay on top of it the local changes the host has not acknowledged yet.
+ */
+export interface SyncState {
+    version: number
+    confirmed: any
+    pending: { seq: number, changes: SyncChange[] }[]
+    seq: number
+    pathVersions: Map<string, number>
+    history: any[]
+    clock: number // Lamport clock of the object in a mesh
+    stamps: Map<string, SyncStamp> // Latest change of every changed path in a mesh, by JSON path
+}
 
-        })
+/**
+ * A change made to a synced object in a mesh, ordered by the Lamport clock of the object,
+ *    then by the id of the peer that made it for concurrent changes
+ */
+export interface SyncStamp {
+    path: string[]
+    clock: number
+    peer: string
+}
 
-        peer.on('error',
-            async (error) => {
+/**
+ * Why a connection has been closed, sent to the remote peer along with the closing message
+ */
+export enum CloseCode {
+
+    NORMAL, // The connection has been closed on purpose
+    LOST, // The connection closed without any closing message
+    TIMEOUT, // The remote peer stopped sending heartbeats
+    KICKED, // The host closed the connection of the client
+    BANNED,
+    NOT_WHITELISTED,
+    FULL,
+    NOT_HOSTING, // The remote peer is neither hosting nor in the same mesh
+    NOT_ACCEPTING, // The host does not accept new connections
+    HOSTING_DISABLED,
+    AUTHENTICATION_FAILED,
+    SESSION_EXPIRED,
+    PROTOCOL_ERROR, // Too many invalid messages have been received
 
-                if ((error as any).type === 'unavailable-id')
-                    for (let callback of this.getCallbacks(NetworkEvent.UNAVAILABLE_ID))
-                        await callback.call(this)
+}
 
-                else if ((error as any).type === 'invalid-id')
-                    for (let callback of this.getCallbacks(NetworkEvent.INVALID_ID))
-                        await callback.call(this)
+/**
+ * Default reasons given for each close code
+ */
+const closeReasons: { [code in CloseCode]: string } = {
+    [CloseCode.NORMAL]: 'Connection closed',
+    [CloseCode.LOST]: 'Connection lost',
+    [CloseCode.TIMEOUT]: 'Connection timed out',
+    [CloseCode.KICKED]: 'Kicked by the host',
+    [CloseCode.BANNED]: 'Banned',
+    [CloseCode.NOT_WHITELISTED]: 'Not whitelisted',
+    [CloseCode.FULL]: 'Full',
+    [CloseCode.NOT_HOSTING]: 'Not hosting',
+    [CloseCode.NOT_ACCEPTING]: 'Not accepting connections',
+    [CloseCode.HOSTING_DISABLED]: 'Hosting disabled',
+    [CloseCode.AUTHENTICATION_FAILED]: 'Authentication failed',
+    [CloseCode.SESSION_EXPIRED]: 'Session expired',
+    [CloseCode.PROTOCOL_ERROR]: 'Too many invalid messages',
+}
 
-                else for (let callback of this.getCallbacks(NetworkEvent.PEER_ERROR))
-                    await callback.call(this, error)
+/**
+ * Given to the closing events of a connection
+ */
+export interface CloseInfo {
+    code: CloseCode
+    reason: string
+    initiatedBy: string | null // Id of the peer which closed the connection, null if it has been lost
+}
 
-            })
+/**
+ * Budgets per second allowed to every connection, a missing or zero budget is unlimited
+ */
+export interface RateLimits {
+    messages?: number
+    bytes?: number
+    syncWrites?: number // Changes made to synced objects
+}
 
-        peer.on('disconnected', async () => {
+/**
+ * What happens to a message over budget: it is dropped, queued until the budget allows it,
+ *    or the peer is banned (only dropped when received from the host)
+ */
+export type RatePolicy = 'drop' | 'queue' | 'ban'
 
-            for (let callback of this.getCallbacks(NetworkEvent.PEER_DISCONNECT))
-                await callback.call(this)
+/**
+ * Handles a typed message, called with the connection it has been received from as this
+ */
+export type MessageHandler = (this: NetworkConnection, payload: any) => Promise<void> | void
 
-        })
+/**
+ * Validates the credentials sent by a peer in answer to the given challenge.
+ * Returns true to accept the peer, false or the reason of the rejection otherwise.
+ */
+export type NetworkAuthenticator = (peerId: string, credentials: any, challenge: string) => boolean | string | Promise<boolean | string>
 
-    }
+/**
+ * A session issued by the host to a client, allowing it to resume after a transient disconnection.
+ * timeoutID is set while the client is disconnected and its slot reserved.
+ */
+export interface NetworkSession {
+    host: string
+    token: string
+    grace: number
+    connection: NetworkConnection
+    outbox: any[]
+    timeoutID: ReturnType<typeof setTimeout> | null
+}
 
-    reconnect(): void {
+/**
+ * Messages of the Network kept for the disconnected clients whose session can be resumed, as application data is
+ */
+const sessionEvents = new Set(['Network$ROOM', 'Network$JOINED', 'Network$LEFT'])
 
-        if (this.peer && this.peer.disconnected) this.peer.reconnect()
+/**
+ * Returns true if the given data is a message of the Network itself rather than of the application
+ */
+function isInternal(data: any): boolean {
+
+    let evt = typeof data === 'string' ? data : data?.evt
+
+    return typeof evt === 'string' && evt.startsWith('Network$') && !sessionEvents.has(evt)
+
+}
+
+/**
+ * Returns the message carrying the given changes of a synced object
+ */
+function changeMessage(uuid: string, changes: SyncChange[]): any {
+
+    return changes.length === 1 ?
+        { evt: 'Network$CHANGESYNC', uuid, ...changes[0] } :
+        { evt: 'Network$BATCHSYNC', uuid, changes }
+
+}
+
+/**
+ * Apply all the given changes or none of them, returns true if they have been applied
+ */
+function applyChanges(object: any, changes: SyncChange[]): boolean {
+
+    try {
+
+        // Changes are tried on a copy first so that a failing change does not leave the object half updated
+        if (changes.length > 1) {
+
+            let copy = JSON.parse(JSON.stringify(object))
+
+            for (let { path, value, operation } of changes)
+                applyChange(copy, path, value, operation)
+
+        }
+
+        for (let { path, value, operation } of changes)
+            applyChange(object, path, value, operation)
+
+        return true
+
+    } catch (error) { return false }
+
+}
+
+/**
+ * Returns the own property of a value at the given path, or undefined
+ */
+function valueAt(object: any, path: string[]): any {
+
+    for (let segment of path) {
+
+        if (typeof object !== 'object' || object === null || !Object.prototype.hasOwnProperty.call(object, segment)) return undefined
+
+        object = object[segment]
 
     }
 
-    /**
-     * Enable hosting, if any connection is opened at time, 
-     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed
-     * Returns the new state of isHosting
-     */
-    enableHosting(abortIfConnections: boolean = false): boolean {
+    return object
 
-        if (!this.isHosting)
-            if (!this.hasConnections() || !abortIfConnections) {
+}
 
-                this.isHosting = true
-                this.closeAllConnections()
+/**
+ * Returns the paths of an object matching a pattern, where '*' matches any key,
+ *    keeping only the ones leading to near or found under it
+ */
+function matchPaths(object: any, pattern: string[], near: string[], path: string[] = []): string[][] {
 
-            }
+    let depth = path.length
 
+    if (depth === pattern.length) return [path]
 
+    let keys = pattern[depth] !== '*' ? [pattern[depth]] : typeof object === 'object' && object !== null ? Object.keys(object) : []
 
-        return this.isHosting
+    if (depth < near.length) keys = keys.filter(key => key === near[depth])
+
+    return keys.flatMap(key => matchPaths(valueAt(object, [key]), pattern, near, [...path, key]))
+
+}
+
+/**
+ * Returns the options of a synced object which can be saved, the functions are left out
+ */
+function savedOptions({ writable, owner, audience, room }: SyncOptions): NetworkSnapshot['objects'][number]['options'] {
+
+    let options: NetworkSnapshot['objects'][number]['options'] = {}
+
+    if (typeof writable === 'string') options.writable = writable
+    if (owner !== undefined) options.owner = owner
+    if (Array.isArray(audience)) options.audience = [...audience]
+    if (room !== undefined) options.room = room
+
+    return options
+
+}
+
+/**
+ * Returns a negative number if a has been made before b, a positive one if after, 0 if they are the same change
+ */
+function compareStamps(a: SyncStamp, b: SyncStamp): number {
+
+    return a.clock - b.clock || (a.peer < b.peer ? -1 : a.peer > b.peer ? 1 : 0)
+
+}
+
+/**
+ * Returns true if the path is the given ancestor or lies inside it
+ */
+function isInside(path: string[], ancestor: string[]): boolean {
+
+    return ancestor.length <= path.length && ancestor.every((segment, index) => segment === path[index])
+
+}
+
+/**
+ * Write a copy of the value at the given path, undefined deleting it, creating the missing objects on the way.
+ * The content of the whole object is replaced for the root path.
+ */
+function writeAt(object: any, path: string[], value: any): void {
+
+    value = value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+    if (!path.length) {
+
+        patchObject(object, value ?? {})
+        return
+
+    }
+
+    for (let segment of path.slice(0, -1)) {
+
+        if (typeof object[segment] !== 'object' || object[segment] === null) object[segment] = {}
+        object = object[segment]
+
+    }
+
+    let key = path[path.length - 1]
+
+    if (value === undefined) delete object[key]
+    else object[key] = value
+
+}
+
+/**
+ * Returns the changes made to an object in a mesh as plain writes, array operations becoming a write of the whole array,
+ *    so that their outcome does not depend on the order the peers receive them in
+ */
+function meshChanges(object: any, changes: SyncChange[]): SyncChange[] {
+
+    return changes.map(change => {
+
+        if (change.operation.type === 'set' || change.operation.type === 'delete') return change
+
+        let value = valueAt(object, change.path.map(String))
+
+        return value === undefined ?
+            { path: change.path, value: undefined, operation: { type: 'delete' } } :
+            { path: change.path, value: JSON.parse(JSON.stringify(value)), operation: { type: 'set' } }
+
+    })
+
+}
+
+/**
+ * Returns about the number of characters of a message once serialized, without serializing it,
+ *    or the number of bytes of binary data
+ */
+function sizeOf(value: any): number {
+
+    if (typeof value === 'string') return value.length + 2
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength
+    if (typeof value !== 'object' || value === null) return value === undefined ? 0 : 8
+
+    let size = 2
+
+    if (Array.isArray(value)) for (let item of value) size += sizeOf(item) + 1
+    else for (let key in value) size += key.length + 4 + sizeOf(value[key])
+
+    return size
+
+}
+
+/**
+ * Overwrite the content of target with the content of source,
+ *    keeping nested objects and arrays when they exist on both sides
+ */
+function patchObject(target: any, source: any): void {
+
+    for (let key of Object.keys(target))
+        if (!(key in source)) delete target[key]
+
+    if (Array.isArray(target)) target.length = source.length
+
+    for (let key of Object.keys(source)) {
+
+        let value = source[key]
+
+        if (typeof value === 'object' && value !== null && typeof target[key] === 'object' && target[key] !== null &&
+            Array.isArray(value) === Array.isArray(target[key]))
+            patchObject(target[key], value)
+        else
+            target[key] = value
+
+    }
+
+}
+
+const transferEvents: Set<string> = new Set(['Network$TRANSFER', 'Network$TRANSFERACK', 'Network$CHUNK', 'Network$TRANSFERDONE', 'Network$TRANSFERCANCEL'])
+
+/**
+ * Keys which would let a change reach the prototype of a synced object
+ */
+const unsafeKeys: Set<any> = new Set(['__proto__', 'constructor', 'prototype'])
+
+const pathSchema: Schema = [(segment: any) => (typeof segment === 'string' || Number.isInteger(segment)) && !unsafeKeys.has(segment)]
+
+const operationSchema: Schema = optional((operation: any) => {
+
+    switch (operation?.type) {
+
+        case 'set': case 'delete': return true
+        case 'insert': return Number.isInteger(operation.index)
+        case 'remove': case 'splice': return Number.isInteger(operation.index) && Number.isInteger(operation.count)
+        case 'move': return Number.isInteger(operation.from) && Number.isInteger(operation.to)
+
+    }
+
+    return false
+
+})
+
+const syncSchema = {
+    uuid: 'string',
+    seq: 'integer?',
+    base: 'integer?',
+    version: 'integer?',
+    origin: 'string?',
+    ack: 'integer?',
+    merged: 'boolean?',
+    clock: 'integer?'
+}
+
+/**
+ * Messages of the Network sent as plain strings.
+ * Older peers send their heartbeat and closing message this way, they are not protocol errors.
+ */
+const internalMessages: Set<string> = new Set(['Network$CONFIRM', 'Network$RESUMED', 'Network$IAMHERE', 'Network$CLOSE'])
+
+/**
+ * Schemas of the messages of the Network, every message received is checked before being handled
+ */
+const internalSchemas: { [evt: string]: Schema } = {
+    'Network$CLOSE': { code: 'integer', reason: 'string' },
+    'Network$IAMHERE': { seq: 'integer', sent: 'number', echo: 'number|null', held: 'number' },
+    'Network$CHALLENGE': { challenge: 'string' },
+    'Network$AUTH': { credentials: 'any' },
+    'Network$SESSION': { token: 'string', grace: 'number' },
+    'Network$ROSTER': { roster: ['string'], options: 'object?' },
+    'Network$PEERS': { peers: ['string'] },
+    'Network$NEWSYNC': {
+        uuid: 'string',
+        version: 'integer?',
+        object: (object: any) => {
+
+            if (typeof object === 'object') return object !== null
+
+            try { return typeof object === 'string' && typeof JSON.parse(object) === 'object' }
+            catch (error) { return false }
+
+        },
+        stamps: optional([{ path: pathSchema, clock: 'integer', peer: 'string' }])
+    },
+    'Network$CHANGESYNC': { ...syncSchema, path: pathSchema, value: 'any', operation: operationSchema },
+    'Network$BATCHSYNC': { ...syncSchema, changes: [{ path: pathSchema, value: 'any', operation: operationSchema }] },
+    'Network$REJECTSYNC': { uuid: 'string', ack: 'integer' },
+    'Network$UNSYNC': { uuid: 'string' },
+    'Network$CALL': { id: 'integer', name: 'string', args: ['any'] },
+    'Network$RESULT': { id: 'integer' },
+    'Network$TRANSFER': {
+        id: 'string',
+        kind: (kind: any) => kind === 'file' || kind === 'data',
+        meta: 'any',
+        size: (size: any) => Number.isInteger(size) && size >= 0,
+        chunkSize: (chunkSize: any) => Number.isInteger(chunkSize) && chunkSize > 0,
+        hash: 'string',
+        window: optional((window: any) => Number.isInteger(window) && window > 0)
+    },
+    'Network$TRANSFERACK': { id: 'string', received: 'integer' },
+    'Network$CHUNK': { id: 'string', index: 'integer', data: 'string' },
+    'Network$TRANSFERDONE': { id: 'string' },
+    'Network$TRANSFERCANCEL': { id: 'string', reason: 'string?' },
+    'Network$ROOM': { room: 'string', data: 'any' },
+    'Network$JOIN': { room: 'string' },
+    'Network$LEAVE': { room: 'string' },
+    'Network$JOINED': { room: 'string' },
+    'Network$LEFT': { room: 'string' },
+    'Network$MESSAGE': { type: 'string', payload: 'any' },
+    'Network$CODECS': { codecs: ['string'] },
+    'Network$HANGUP': { id: 'string' },
+    'Network$PACKET': { c: (c: any) => c === 'o' || c === 'u' || c === 's', seq: (seq: any) => Number.isInteger(seq) && seq >= 0, data: 'any' },
+    'Network$ACK': { o: optional(['integer']), u: optional(['integer']) },
+    'Network$INPUT': { tick: 'integer', input: 'any' },
+    'Network$SNAPSHOT': {
+        tick: 'integer',
+        start: 'number',
+        tickRate: (tickRate: any) => Number.isFinite(tickRate) && tickRate > 0,
+        keyframe: 'boolean',
+        state: 'any',
+        delta: optional([{ path: pathSchema, value: 'any', operation: operationSchema }]),
+        base: 'integer?'
+    },
+}
+
+export enum NetworkEvent {
+
+    PEER_OPENED,  // id has been obtained
+    UNAVAILABLE_ID,  // id could not be obtained
+    INVALID_ID, // id is invalid
+    PEER_CONNECTION,// A user is connecting to you
+    PEER_CLOSED, // When peer is destroyed
+    PEER_DISCONNECT, // Disconnected from signaling server
+    PEER_ERROR, // Fatal errors moslty
+
+    HOST_P2P_OPENED, // A connexion has been opened on the host/server side
+    HOST_P2P_CLOSED,  // A connexion has been closed on the host/server side
+    HOST_P2P_RECEIVED_DATA,
+    HOST_P2P_SYNCED_DATA,
+    HOST_P2P_SYNCED_DATA_CHANGED,
+    HOST_P2P_UNSYNCED_DATA,
+
+    CLIENT_P2P_OPENED,
+    CLIENT_P2P_CLOSED,
+    CLIENT_P2P_RECEIVED_DATA,
+    CLIENT_P2P_CONFIRMED_CONNECTION,
+    CLIENT_P2P_SYNCED_DATA,
+    CLIENT_P2P_SYNCED_DATA_CHANGED,
+    CLIENT_P2P_UNSYNCED_DATA,
+
+    HOSTING_START,
+    HOSTING_END,
+
+    HOST_MIGRATION_STARTED, // The host has been lost and a successor has been elected
+    HOST_MIGRATED, // The successor is hosting and the connection to it is confirmed
+
+    MESH_P2P_OPENED, // A connexion with another member of the mesh has been confirmed
+    MESH_P2P_CLOSED,
+    MESH_P2P_RECEIVED_DATA,
+    MESH_P2P_SYNCED_DATA,
+    MESH_P2P_SYNCED_DATA_CHANGED,
+    MESH_P2P_UNSYNCED_DATA,
+
+    HOST_P2P_SYNCED_DATA_TRANSACTION, // Several changes have been applied at once to a synced object
+    CLIENT_P2P_SYNCED_DATA_TRANSACTION,
+    MESH_P2P_SYNCED_DATA_TRANSACTION,
+
+    HOST_P2P_SYNC_REJECTED, // A client tried to modify a synced object without the permission to
+    CLIENT_P2P_SYNC_REJECTED, // The host refused a change and the synced object has been rolled back
+
+    TRANSFER_STARTED, // A large payload started being sent or received
+    TRANSFER_PROGRESS,
+    TRANSFER_COMPLETED,
+    TRANSFER_CANCELLED,
+
+    HOST_P2P_RESUMED, // A client lost then resumed its session within the grace period
+    CLIENT_P2P_RESUMED, // The session with the host has been resumed after a transient disconnection
+
+    CLIENT_P2P_REJECTED, // The host refused the connection, the reason is given
+
+    HOST_P2P_ROOM_JOINED, // A client joined a room of the host
+    HOST_P2P_ROOM_LEFT,
+    CLIENT_P2P_ROOM_JOINED, // This client has been added to a room of the host
+    CLIENT_P2P_ROOM_LEFT,
+
+    PEER_PROTOCOL_ERROR, // An invalid message has been received, it is dropped
+    PEER_RATE_LIMITED, // A message has been received while the connection was over budget, see ratePolicy
+
+    MEDIA_CALL_STARTED, // A media call has been placed or answered
+    MEDIA_CALL_STREAM, // The stream of the remote peer of a media call has been received
+    MEDIA_CALL_ENDED, // Either side hung up, or the connection with the remote peer closed
+
+}
+
+/**
+ * The Network class uses PeerJS to manage P2P connection.
+ * On top of peerjs it manages timeouts conditional hosting (whitelist blacklist)
+ *    and auto rejection against unwanted connections.
+ * Any other Transport can be given in place of PeerJS, such as the LoopbackTransport.
+ */
+export class Network {
+
+    transport: Transport | null
+    peer: TransportPeer | null = null
+    id: string | null = null
+    isHosting: boolean = false
+    isMesh: boolean = false
+    maxClient: number = 15
+
+    acceptConnections: boolean = true
+    useWhitelist: boolean = true
+    whitelist: string[] = []
+    blacklist: string[] = []
+
+    authenticate: NetworkAuthenticator | null = null // Asked to validate the credentials of every client before it is confirmed
+    authenticationTimeout: number = 10000
+    credentials: any = null // Sent to the host when challenged, or a function (challenge, hostID) returning them
+
+    connections: Map<string, NetworkConnection> = new Map()
+
+    callbacks: Map<NetworkEvent, ((data: any) => Promise<void>)[]> = new Map()
+
+    syncedObjects: Map<string, any> = new Map()
+    syncOptions: Map<string, SyncOptions> = new Map()
+    syncStates: Map<string, SyncState> = new Map()
+    batchChanges: boolean = false
+
+    #pendingChanges: Map<string, SyncChange[]> = new Map()
+    #transactions: Set<string> = new Set()
+    #rollbacks: Map<string, Rollback> = new Map() // How to undo the changes of the running transactions
+
+    procedures: Map<string, (...args: any[]) => any> = new Map()
+    callTimeout: number = 10000
+
+    transfers: Map<string, Transfer> = new Map()
+    transferChunkSize: number = 16 * 1024
+    transferWindow: number = 32 // Number of chunks sent ahead of the last acknowledgement
+    transferBufferLimit: number = 1024 * 1024 // Bytes waiting in the data channel before sending is suspended
+    transferResumeDelay: number = 30000 // Time given to a peer to reconnect before its transfers are cancelled
+    transferStallTimeout: number = 10000 // Time in ms without any acknowledgement after which an outgoing transfer is cancelled
+    maxTransferSize: number = 256 * 1024 * 1024 // Size in bytes above which the transfers offered by a peer are refused
+    maxIncomingTransfers: number = 4 // Transfers a single peer may send at the same time, the next ones are refused
+
+    sessionGracePeriod: number = 0 // Time in ms during which a lost client can resume its session, 0 disables sessions
+    sessions: Map<string, NetworkSession> = new Map()
+    session: NetworkSession | null = null
+
+    advertisement: { directory: string, connection: TransportConnection, intervalID: ReturnType<typeof setInterval>, name: string, metadata: any } | null = null
+
+    messageTypes: Map<string, { schema: Schema, handlers: MessageHandler[] }> = new Map()
+    protocolErrorLimit: number = 0 // Number of invalid messages after which a peer is banned or disconnected, 0 never does
+
+    rateLimits: RateLimits = {}
+    ratePolicy: RatePolicy = 'drop'
+    rateQueueLimit: number = 256 // Messages queued per connection before they are dropped
+
+    serialization: 'json' | 'binary' = 'json' // Used for the connections this peer opens
+    compactSync: boolean = true // Offer the compact format for sync messages, see Codec
+    compression: boolean = false // Offer to compress large messages
+    compressionThreshold: number = 4096 // Size in characters from which a message is compressed
+
+    lossyChannel: boolean = false // Also open an unordered channel, unreliable when the transport allows it, for the delivery classes other than 'reliable-ordered'
+    ackDelay: number = 10 // Time in ms the acknowledgements of the messages sent with a reliable delivery class are gathered
+    retransmitDelay: number = 100 // Minimum time in ms before an unacknowledged message is sent again, raised with the round trip time
+
+    simulation: Simulation | null = null // Set when a Simulation is created for this network
+
+    recorder: Recorder | null = null // Set when a Recorder is created for this network
+
+    #watchers: Map<string, { pattern: string[], handler: WatchHandler, values: Map<string, string> }[]> = new Map()
+
+    storage: SnapshotStorage | null = null // Where save() and load() keep the snapshots of the synced objects
+    storageKey: string = 'network'
+    #autosaveID: ReturnType<typeof setInterval> | null = null
+    #lastSave: string | null = null
+
+    acceptMediaCalls: boolean = true // Answer the media calls of confirmed peers
+    localStream: MediaStream | null = null // Sent when answering a media call, null only receives the stream of the caller
+    answerMediaCall: ((this: NetworkConnection, metadata: any) => MediaStream | null | false | Promise<MediaStream | null | false>) | null = null // Asked for the stream to answer with in place of localStream, false refuses the call
+
+    rooms: Map<string, Room> = new Map() // Rooms of the host
+    joinedRooms: Set<string> = new Set() // Rooms of the host this client is a member of
+    syncHistoryLength: number = 256 // Number of changes kept per synced object to catch up resuming clients
+
+    hostMigration: boolean = false
+    roster: string[] = []
+    rosterOptions: Map<string, SyncOptions> = new Map() // Options of the synced objects, given by the host with the roster
+    migrationGracePeriod: number = 10000 // Time in ms the clients of a lost host have to connect to its successor
+    migratingTo: string | null = null
+
+    /**
+     * Create a new Network using the given transport, PeerJS is used if none is given
+     */
+    constructor(transport: Transport | null = null) {
+
+        this.transport = transport
+
+    }
+
+    /**
+     * Returns true if there is any connection currenlty active
+     */
+    hasConnections(): boolean { return this.connections.size !== 0 }
+
+    /**
+     * Returns true if the network is hosting and the number of connection currently active is at least equal to this.maxClient
+     */
+    isFull(): boolean { return this.connections.size + this.reservedSlots() >= this.maxClient }
+
+    /**
+     * Returns the current time in ms on the clock of the host, as estimated from the heartbeats.
+     * Every peer of the network can use it to schedule something at the same instant.
+     */
+    hostTime(): number {
+
+        if (this.isHosting || this.isMesh) return Date.now()
+
+        let host = [...this.connections.values()].find(connection => !connection.receiver && connection.confirmed)
+
+        return Date.now() + (host?.clockOffset ?? 0)
+
+    }
+
+    /**
+     * Returns the number of disconnected clients whose session can still be resumed
+     */
+    reservedSlots(): number { return [...this.sessions.values()].filter(session => session.timeoutID).length }
+
+    /**
+     * Connect to the signaling server 
+     * PeerJS is only loaded at this point if no other transport has been given
+     */
+    async start(id: string, options: PeerJSOption = {}): Promise<void> {
+
+        if (!this.transport)
+            this.transport = new (await import('./PeerJSTransport.js')).PeerJSTransport()
+
+        let peer = this.transport.createPeer(id, options)
+
+        peer.on('open', async () => {
+
+            this.peer = peer
+            this.id = peer.id
+
+            for (let callback of this.getCallbacks(NetworkEvent.PEER_OPENED))
+                await callback.call(this, this.id)
+
+        })
+
+        peer.on('connection', async (conn) => {
+
+            if (conn.metadata?.lossy) {
+
+                let networkConnection = this.connections.get(conn.peer)
+
+                // The second channel of a connection opened by the remote peer
+                if (networkConnection?.receiver && !networkConnection.lossyConnection) networkConnection.useLossyChannel(conn)
+                else conn.close()
+
+                return
+
+            }
+
+            if (this.isMesh && this.connections.has(conn.peer)) {
+
+                // Both peers connected to each other at the same time, the connection initiated by the lowest id is kept
+                if (this.id! < conn.peer) {
+
+                    conn.close()
+                    return
+
+                }
+
+                let networkConnection = this.connections.get(conn.peer)!
+
+                networkConnection.clean()
+                networkConnection.connection.close()
+
+            }
+
+            let previous = this.connections.get(conn.peer)
+
+            if (!this.isMesh && previous && conn.metadata?.session && this.sessions.get(conn.peer)?.token === conn.metadata.session) {
+
+                // The client noticed the loss of the connection before the host did
+                previous.clean()
+                this.suspendConnection(previous)
+                previous.connection.close()
+
+            }
+
+            if (this.hostMigration && conn.metadata?.migrateFrom && this.connections.has(conn.metadata.migrateFrom))
+                await this.migrateHost(conn.metadata.migrateFrom)
+
+            let networkConnection = new NetworkConnection(conn, true, this)
+
+            this.connections.set(networkConnection.id, networkConnection)
+
+            for (let callback of this.getCallbacks(NetworkEvent.PEER_CONNECTION))
+                await callback.call(this, networkConnection)
+        })
+
+        peer.on('call', this.#mediaCall.bind(this))
+
+        peer.on('close', async () => {
+
+            for (let callback of this.getCallbacks(NetworkEvent.PEER_CLOSED))
+                await callback.call(this)
+
+        })
+
+        peer.on('error',
+            async (error) => {
+
+                if ((error as any).type === 'unavailable-id')
+                    for (let callback of this.getCallbacks(NetworkEvent.UNAVAILABLE_ID))
+                        await callback.call(this)
+
+                else if ((error as any).type === 'invalid-id')
+                    for (let callback of this.getCallbacks(NetworkEvent.INVALID_ID))
+                        await callback.call(this)
+
+                else for (let callback of this.getCallbacks(NetworkEvent.PEER_ERROR))
+                    await callback.call(this, error)
+
+            })
+
+        peer.on('disconnected', async () => {
+
+            for (let callback of this.getCallbacks(NetworkEvent.PEER_DISCONNECT))
+                await callback.call(this)
+
+        })
+
+    }
+
+    reconnect(): void {
+
+        if (this.peer && this.peer.disconnected) this.peer.reconnect()
+
+    }
+
+    /**
+     * Enable hosting, if any connection is opened at time, 
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed
+     * Returns the new state of isHosting
+     */
+    enableHosting(abortIfConnections: boolean = false): boolean {
+
+        if (!this.isHosting)
+            if (!this.hasConnections() || !abortIfConnections) {
+
+                this.isHosting = true
+                this.isMesh = false
+                this.closeAllConnections()
+
+            }
+
+
+
+        return this.isHosting
+
+    }
+
+    /**
+     * Disable hosting, if any connection is opened at time, 
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
+     * Returns the new state of isHosting.
+     */
+    disableHosting(abortIfConnections: boolean = false): boolean {
+
+        if (this.isHosting)
+            if (!this.hasConnections() || !abortIfConnections) {
+
+                this.closeAllConnections(undefined, CloseCode.HOSTING_DISABLED)
+                this.isHosting = false
+
+            }
+
+        return this.isHosting
+
+    }
+
+    /**
+     * Enable the mesh mode, in which every peer is connected to every other peer without any host.
+     * If any connection is opened at time, 
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
+     * Hosting is disabled in the process.
+     * Returns the new state of isMesh.
+     */
+    enableMesh(abortIfConnections: boolean = false): boolean {
+
+        if (!this.isMesh)
+            if (!this.hasConnections() || !abortIfConnections) {
+
+                this.isMesh = true
+                this.isHosting = false
+                this.closeAllConnections()
+
+            }
+
+        return this.isMesh
+
+    }
+
+    /**
+     * Disable the mesh mode, if any connection is opened at time, 
+     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
+     * Returns the new state of isMesh.
+     */
+    disableMesh(abortIfConnections: boolean = false): boolean {
+
+        if (this.isMesh)
+            if (!this.hasConnections() || !abortIfConnections) {
+
+                this.closeAllConnections()
+                this.isMesh = false
+
+            }
+
+        return this.isMesh
+
+    }
+
+    /**
+     * Tries to connect to a given peer.
+     * will throw an error if not connected to the signaling server or currently hosting.
+     * Will automaticaly store the connectino into this.connections.
+     * Will throw an error if you are already connected to a peer, unless in mesh mode
+     *    where the other members of the mesh are then connected automatically.
+     */
+    connectTo(id: string): NetworkConnection {
+
+        if (id === this.id) throw `You can't connect to yourself`
+        if (!this.peer) throw `You can't connect to somebody without starting the Network and being connected to the signaling server`
+        if (this.isHosting) throw `You can't connect to somebody while hosting`
+
+        if (this.isMesh) {
+
+            if (this.connections.has(id)) return this.connections.get(id)!
+
+            let networkConnection = new NetworkConnection(this.peer.connect(id, { serialization: this.serialization, reliable: true, metadata: this.#metadata({ mesh: true }) }), false, this)
+
+            this.connections.set(networkConnection.id, networkConnection)
+
+            return networkConnection
+
+        }
+
+        if (this.hasConnections()) throw `You can only connect to one peer at a time`
+
+        let networkConnection = new NetworkConnection(this.peer.connect(id, { serialization: this.serialization, reliable: true, metadata: this.#metadata() }), false, this)
+
+        this.connections.set(networkConnection.id, networkConnection)
+
+        this.syncedObjects.clear()
+        this.syncStates.clear()
+        this.session = null
+        this.joinedRooms.clear()
+        this.roster = []
+        this.rosterOptions.clear()
+        this.migratingTo = null
+
+        return networkConnection
+
+    }
+
+    /**
+     * Send the list of confirmed clients to every one of them, used to elect a successor if the host is lost.
+     * Does nothing if not hosting or if hostMigration is disabled.
+     */
+    shareRoster(id?: string): void {
+
+        if (!this.isHosting || !this.hostMigration) return
+
+        let roster = [...this.connections.values()].filter(connection => connection.confirmed).map(connection => connection.id)
+
+        let recipients = id ? [this.connections.get(id)] : [...this.connections.values()].filter(connection => connection.challenge === null)
+
+        for (let networkConnection of recipients) if (networkConnection) {
+
+            // The options of the objects the client can see, so that a successor enforces them too
+            let options: { [uuid: string]: NetworkSnapshot['objects'][number]['options'] } = {}
+
+            for (let uuid of networkConnection.visibleObjects) {
+
+                let syncOptions = this.syncOptions.get(uuid) ?? {}
+
+                options[uuid] = savedOptions(syncOptions)
+
+                // Functions and rooms do not survive the host, the current audience is sent instead and only the host may write
+                if (typeof syncOptions.writable === 'function') options[uuid].writable = 'host'
+
+                if (typeof syncOptions.audience === 'function' || syncOptions.room !== undefined) {
+
+                    options[uuid].audience = roster.filter(peer => this.canSee(uuid, peer))
+                    delete options[uuid].room
+
+                }
+
+            }
+
+            networkConnection.send({ evt: 'Network$ROSTER', roster, options })
+
+        }
+
+    }
+
+    /**
+     * Elect a successor to the lost host among the roster: the oldest client of the host.
+     * The successor starts hosting and the other clients connect to it, keeping the synced objects.
+     * Called automatically when the connection to the host is lost while hostMigration is enabled.
+     */
+    async migrateHost(hostID: string): Promise<void> {
+
+        if (this.isHosting || this.isMesh) return
+
+        this.connections.get(hostID)?.cleanclose()
+
+        let successor = this.roster.find(id => id !== hostID)
+
+        if (!successor) return
+
+        this.roster = this.roster.filter(id => id !== hostID && id !== successor)
+
+        for (let callback of this.getCallbacks(NetworkEvent.HOST_MIGRATION_STARTED))
+            await callback.call(this, hostID, successor)
+
+        if (successor === this.id) {
+
+            this.migratingTo = null
+
+            for (let [uuid, options] of this.rosterOptions)
+                if (this.syncedObjects.has(uuid)) this.syncOptions.set(uuid, options)
+
+            // The clients of the lost host are let in for the grace period, those which did not come back are not any longer
+            let allowed = this.roster.filter(id => !this.whitelist.includes(id))
+
+            for (let id of allowed) this.allow(id)
+
+            setTimeout(() => {
+
+                for (let id of allowed)
+                    if (!this.connections.has(id)) this.deny(id)
+
+            }, this.migrationGracePeriod)
+
+            this.enableHosting()
+
+            for (let callback of this.getCallbacks(NetworkEvent.HOST_MIGRATED))
+                await callback.call(this, this.id)
+
+        } else if (this.peer) {
+
+            this.migratingTo = successor
+
+            let networkConnection = new NetworkConnection(this.peer.connect(successor, { serialization: this.serialization, reliable: true, metadata: this.#metadata({ migrateFrom: hostID }) }), false, this)
+
+            this.connections.set(networkConnection.id, networkConnection)
+
+        }
+
+    }
+
+    /**
+     * Send any data to a given connected peer if it exists
+     * 
+     * @param {string} id 
+     * @param {any} data 
+     */
+    sendTo(id: string, data: any, delivery?: DeliveryClass): void {
+
+        let networkConnection = this.connections.get(id)
+
+        if (networkConnection) networkConnection.send(data, delivery)
+        else if (!isInternal(data)) this.sessions.get(id)?.outbox.push(data)
+
+    }
+
+    /**
+     * Send any data to every connected peer
+     * 
+     * @param {any} data 
+     * @param {DeliveryClass} delivery How the data reaches the peers, by default it relies on the channel
+     */
+    sendToAll(data: any, delivery?: DeliveryClass): void {
+
+        // Peers which have not authenticated yet are left out
+        for (let connection of this.connections) if (connection[1].challenge === null)
+            connection[1].send(data, delivery)
+
+        this.#keepForSessions(data)
+
+    }
+
+    /**
+     * Send any data to every connected peer except a given one
+     * 
+     * @param {string} id 
+     * @param {any} data 
+     * @param {DeliveryClass} delivery 
+     */
+    sendToAllExcept(id: string, data: any, delivery?: DeliveryClass): void {
+
+        for (let connection of this.connections) if (connection[0] !== id && connection[1].challenge === null)
+            connection[1].send(data, delivery)
+
+        this.#keepForSessions(data, id)
+
+    }
+
+    /**
+     * Register this host with a directory under the given name, the entry is kept up to date every second
+     *    until unadvertise() is called or hosting is disabled.
+     */
+    advertise(directoryID: string, name: string, metadata: any = {}): void {
+
+        if (!this.peer) throw 'Peer not ready'
+        if (!this.isHosting) throw 'Cannot advertise when not hosting'
+
+        this.unadvertise()
+
+        let connection = this.peer.connect(directoryID, { serialization: 'json', metadata: { directory: true } })
+
+        let intervalID = setInterval(() => this.#advertise(), 1000)
+
+        this.advertisement = { directory: directoryID, connection, intervalID, name, metadata }
+
+        connection.on('open', () => this.#advertise())
+        connection.on('close', () => {
+
+            if (this.advertisement?.connection !== connection) return
+
+            clearInterval(intervalID)
+            this.advertisement = null
+
+        })
+
+    }
+
+    /**
+     * Send the current state of this host to the directory it advertises to
+     */
+    #advertise(): void {
+
+        if (!this.advertisement) return
+        if (!this.isHosting) return this.unadvertise()
+
+        let { connection, name, metadata } = this.advertisement
+
+        connection.send({
+            evt: 'Directory$REGISTER',
+            name,
+            players: [...this.connections.values()].filter(connection => connection.confirmed).length,
+            maxClient: this.maxClient,
+            acceptConnections: this.acceptConnections,
+            metadata
+        })
+
+    }
+
+    /**
+     * Remove this host from the directory it advertises to
+     */
+    unadvertise(): void {
+
+        let advertisement = this.advertisement
+
+        if (!advertisement) return
+
+        this.advertisement = null
+
+        clearInterval(advertisement.intervalID)
+
+        advertisement.connection.send({ evt: 'Directory$UNREGISTER' })
+        setTimeout(() => advertisement!.connection.close(), 250)
+
+    }
+
+    /**
+     * Returns the hosts currently registered with a directory, rejects if the peer is not ready
+     */
+    async listHosts(directoryID: string): Promise<DirectoryEntry[]> {
+
+        if (!this.peer) throw 'Peer not ready'
+
+        let connection = this.peer.connect(directoryID, { serialization: 'json', metadata: { directory: true } })
+
+        return new Promise((resolve, reject) => {
+
+            let timeoutID = setTimeout(() => {
+
+                connection.close()
+                reject(`Directory "${directoryID}" did not answer`)
+
+            }, this.callTimeout)
+
+            connection.on('open', () => connection.send({ evt: 'Directory$LIST' }))
+            connection.on('data', (data: any) => {
+
+                if (data?.evt !== 'Directory$HOSTS') return
+
+                clearTimeout(timeoutID)
+                connection.close()
+
+                resolve(data.hosts)
+
+            })
+
+        })
+
+    }
+
+    /**
+     * Declare a type of message along with the schema its payload must match, throws if the schema is invalid
+     */
+    defineMessage(type: string, schema: Schema = 'any'): void {
+
+        if (this.messageTypes.has(type)) throw `Message "${type}" is already defined`
+
+        checkSchema(schema)
+
+        this.messageTypes.set(type, { schema, handlers: [] })
+
+    }
+
+    /**
+     * Add a handler for a type of message, only valid payloads reach it
+     */
+    onMessage(type: string, handler: MessageHandler): void {
+
+        let messageType = this.messageTypes.get(type)
+
+        if (!messageType) throw `Message "${type}" is not defined`
+
+        messageType.handlers.push(handler)
+
+    }
+
+    /**
+     * Returns the message carrying the given payload, throws if it does not match the schema of its type
+     */
+    #message(type: string, payload: any): any {
+
+        let messageType = this.messageTypes.get(type)
+
+        if (!messageType) throw `Message "${type}" is not defined`
+
+        let error = validate(payload, messageType.schema, 'payload')
+
+        if (error !== null) throw `Invalid "${type}" message: ${error}`
+
+        return { evt: 'Network$MESSAGE', type, payload }
+
+    }
+
+    /**
+     * Send a typed message to a given peer
+     */
+    sendMessage(id: string, type: string, payload: any): void {
+
+        this.sendTo(id, this.#message(type, payload))
+
+    }
+
+    /**
+     * Send a typed message to every connected peer
+     */
+    sendMessageToAll(type: string, payload: any): void {
+
+        this.sendToAll(this.#message(type, payload))
+
+    }
+
+    /**
+     * Returns why the given data received from a peer is invalid, or null if it is valid
+     */
+    validateMessage(data: any): string | null {
+
+        if (data === null || data === undefined) return 'Empty message'
+
+        if (typeof data === 'string')
+            return data.startsWith('Network$') && !internalMessages.has(data) ? `Unknown message "${data}"` : null
+
+        if (typeof data !== 'object' || typeof data.evt !== 'string' || !data.evt.startsWith('Network$')) return null
+
+        let schema = internalSchemas[data.evt]
+
+        if (!schema) return `Unknown message "${data.evt}"`
+
+        let error = validate(data, schema)
+
+        if (error !== null || data.evt !== 'Network$MESSAGE') return error
+
+        let messageType = this.messageTypes.get(data.type)
+
+        if (!messageType) return `Unknown message type "${data.type}"`
+
+        return validate(data.payload, messageType.schema, 'payload')
+
+    }
+
+    /**
+     * Returns the wire formats offered to the peers, see Codec
+     */
+    codecs(): string[] {
+
+        let codecs: string[] = []
+
+        if (this.compactSync) codecs.push('compact')
+        if (this.compression) codecs.push('deflate')
+
+        return codecs
+
+    }
+
+    /**
+     * Returns the metadata of a connection opened by this peer, telling the remote peer what it supports
+     */
+    #metadata(metadata: any = {}): any {
+
+        return { ...metadata, codecs: this.codecs(), timedHeartbeats: true }
+
+    }
+
+    /**
+     * Returns the room of the given name, creating it if needed
+     */
+    room(name: string): Room {
+
+        let room = this.rooms.get(name)
+
+        if (!room) {
+
+            room = new Room(name, this)
+            this.rooms.set(name, room)
+
+        }
+
+        return room
+
+    }
+
+    /**
+     * Send any data to the members of a room.
+     * The host sends it directly, a client sends it through the host which relays it if the client is a member.
+     */
+    sendToRoom(name: string, data: any): void {
+
+        if (this.isHosting) this.rooms.get(name)?.sendToAll(data)
+        else this.sendToAll({ evt: 'Network$ROOM', room: name, data })
+
+    }
+
+    /**
+     * Ask the host to join one of its rooms, which it does if the room is joinable
+     */
+    joinRoom(name: string): void {
+
+        if (this.isHosting) throw `Cannot join a room when hosting, use room("${name}").join()`
+
+        this.sendToAll({ evt: 'Network$JOIN', room: name })
+
+    }
+
+    /**
+     * Ask the host to leave one of its rooms
+     */
+    leaveRoom(name: string): void {
+
+        if (this.isHosting) throw `Cannot leave a room when hosting, use room("${name}").leave()`
+
+        this.sendToAll({ evt: 'Network$LEAVE', room: name })
+
+    }
+
+    /**
+     * Keep application data for the disconnected clients whose session can be resumed
+     */
+    #keepForSessions(data: any, except?: string): void {
+
+        if (isInternal(data)) return
+
+        for (let [id, session] of this.sessions)
+            if (session.timeoutID && id !== except) session.outbox.push(data)
+
+    }
+
+    /**
+     * Keep the session of a lost connection so that it can be resumed, returns true if it can be.
+     * On the host, the slot of the client is reserved for this.sessionGracePeriod ms.
+     * On a client, the connection to the host is retried until the grace period given by the host elapses.
+     */
+    suspendConnection(networkConnection: NetworkConnection): boolean {
+
+        if (networkConnection.suspended && !networkConnection.resuming) return true
+
+        let session = networkConnection.receiver ? this.sessions.get(networkConnection.id) : this.session
+
+        if (!session || (!networkConnection.receiver && session.host !== networkConnection.id)) return false
+
+        networkConnection.suspended = true
+
+        if (networkConnection.receiver) {
+
+            session.timeoutID ??= setTimeout(async () => {
+
+                this.sessions.delete(networkConnection.id)
+
+                let close: CloseInfo = { code: CloseCode.SESSION_EXPIRED, reason: closeReasons[CloseCode.SESSION_EXPIRED], initiatedBy: null }
+
+                for (let callback of this.getCallbacks(NetworkEvent.HOST_P2P_CLOSED))
+                    await callback.call(session!.connection, close)
+
+            }, this.sessionGracePeriod)
+
+        } else {
+
+            session.timeoutID ??= setTimeout(() => this.expireSession(), session.grace)
+
+            setTimeout(() => this.#resumeSession(), 1000)
+
+        }
+
+        return true
+
+    }
+
+    /**
+     * Try to reconnect to the host presenting the session token and the version of every synced object
+     */
+    #resumeSession(): void {
+
+        let session = this.session
+
+        if (!session || !session.timeoutID || this.connections.has(session.host)) return
+
+        if (!this.peer || this.peer.destroyed) {
+
+            this.expireSession()
+            return
+
+        }
+
+        let versions: { [uuid: string]: number } = {}
+        for (let [uuid, state] of this.syncStates) versions[uuid] = state.version
+
+        let networkConnection = new NetworkConnection(this.peer.connect(session.host, { serialization: this.serialization, reliable: true, metadata: this.#metadata({ session: session.token, versions }) }), false, this)
+
+        networkConnection.suspended = networkConnection.resuming = true
+
+        this.connections.set(networkConnection.id, networkConnection)
+
+    }
+
+    /**
+     * Give up on resuming the session with the host, the connection is then considered closed
+     */
+    async expireSession(close: CloseInfo = { code: CloseCode.SESSION_EXPIRED, reason: closeReasons[CloseCode.SESSION_EXPIRED], initiatedBy: null }): Promise<void> {
+
+        let session = this.session
+
+        if (!session) return
+
+        this.session = null
+
+        if (session.timeoutID) clearTimeout(session.timeoutID)
+
+        let attempt = this.connections.get(session.host)
+        if (attempt?.resuming) attempt.cleanclose(undefined, CloseCode.SESSION_EXPIRED)
+
+        for (let callback of this.getCallbacks(NetworkEvent.CLIENT_P2P_CLOSED))
+            await callback.call(session.connection, close)
+
+        if (this.hostMigration)
+            await this.migrateHost(session.host)
+
+    }
+
+    /**
+     * Close the connection to a given peer if it exists, the reason is given to the peer.
+     * A client closed by the host is considered kicked unless another code is given.
+     * 
+     * @param {string} id 
+     */
+    closeConnection(id: string, reason?: string, code: CloseCode = this.isHosting ? CloseCode.KICKED : CloseCode.NORMAL): void {
+
+        this.connections.get(id)?.cleanclose(reason, code)
+
+    }
+
+    /**
+     * Close the connection with all connected peer
+     */
+    closeAllConnections(reason?: string, code: CloseCode = CloseCode.NORMAL): void {
+
+        for (let connection of this.connections)
+            connection[1].cleanclose(reason, code)
+
+    }
+
+    /**
+     * Add a callback for a given event
+     * 
+     * @param {NetworkEvent} event 
+     * @param callback 
+     */
+    on(event: NetworkEvent.PEER_OPENED, callback: (id: string) => Promise<void>): void;
+    on(event: NetworkEvent.UNAVAILABLE_ID, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.INVALID_ID, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.PEER_CONNECTION, callback: (networkConnection: NetworkConnection) => Promise<void>): void;
+    on(event: NetworkEvent.PEER_CLOSED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.PEER_DISCONNECT, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.PEER_ERROR, callback: (error: Error) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_P2P_OPENED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_RECEIVED_DATA, callback: (data: any, room?: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+
+    on(event: NetworkEvent.CLIENT_P2P_OPENED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_RECEIVED_DATA, callback: (data: any, room?: string) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_MIGRATION_STARTED, callback: (lostHostID: string, successorID: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_MIGRATED, callback: (hostID: string) => Promise<void>): void;
+
+    on(event: NetworkEvent.MESH_P2P_OPENED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_CLOSED, callback: (close: CloseInfo) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.MESH_P2P_SYNCED_DATA_TRANSACTION, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_P2P_SYNC_REJECTED, callback: (uuid: string, changes: SyncChange[]) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_SYNC_REJECTED, callback: (uuid: string) => Promise<void>): void;
+
+    on(event: NetworkEvent.TRANSFER_STARTED, callback: (transfer: Transfer) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_PROGRESS, callback: (transfer: Transfer) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_COMPLETED, callback: (transfer: Transfer, payload: any) => Promise<void>): void;
+    on(event: NetworkEvent.TRANSFER_CANCELLED, callback: (transfer: Transfer, reason: string) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_P2P_RESUMED, callback: () => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_RESUMED, callback: () => Promise<void>): void;
+
+    on(event: NetworkEvent.CLIENT_P2P_REJECTED, callback: (reason: string, code: CloseCode) => Promise<void>): void;
+
+    on(event: NetworkEvent.HOST_P2P_ROOM_JOINED, callback: (id: string) => Promise<void>): void;
+    on(event: NetworkEvent.HOST_P2P_ROOM_LEFT, callback: (id: string) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_ROOM_JOINED, callback: (room: string) => Promise<void>): void;
+    on(event: NetworkEvent.CLIENT_P2P_ROOM_LEFT, callback: (room: string) => Promise<void>): void;
+
+    on(event: NetworkEvent.PEER_PROTOCOL_ERROR, callback: (error: string, data: any) => Promise<void>): void;
+    on(event: NetworkEvent.PEER_RATE_LIMITED, callback: (data: any) => Promise<void>): void;
+
+    on(event: NetworkEvent.MEDIA_CALL_STARTED, callback: (mediaCall: MediaCall) => Promise<void>): void;
+    on(event: NetworkEvent.MEDIA_CALL_STREAM, callback: (mediaCall: MediaCall, stream: MediaStream) => Promise<void>): void;
+    on(event: NetworkEvent.MEDIA_CALL_ENDED, callback: (mediaCall: MediaCall) => Promise<void>): void;
+
+    on(event: NetworkEvent, callback: (...args: any[]) => Promise<void>): void {
+
+        if (!this.callbacks.has(event))
+            this.callbacks.set(event, [])
+
+        this.callbacks.get(event)?.push(callback)
+
+    }
+
+    /**
+     * Returns all callbacks associated with the given event
+     */
+    getCallbacks(event: NetworkEvent): ((data: any) => Promise<void>)[] {
+        return this.callbacks.get(event) ?? []
+    }
+
+    /**
+     * Puts a given id into the whitelist
+     */
+    allow(id: string): void {
+
+        this.whitelist.push(id)
+
+    }
+
+    /**
+     * Removes a given id from the whitelist, closing the connection if it exists
+     */
+    deny(id: string): void {
+
+        let index = this.whitelist.indexOf(id)
+
+        if (index !== -1)
+            this.whitelist.splice(index, 1)
+
+        if (this.useWhitelist && this.isHosting)
+            this.connections.get(id)?.cleanclose(undefined, CloseCode.NOT_WHITELISTED)
+
+    }
+
+    /**
+     * Puts a given id into the blacklist, closing the connection if it exists with the given reason
+     */
+    ban(id: string, reason?: string): void {
+
+        if (!this.blacklist.includes(id))
+            this.blacklist.push(id)
+
+        this.connections.get(id)?.cleanclose(reason, CloseCode.BANNED)
+
+    }
+
+    /**
+     * Removes a given id from the blacklist
+     */
+    unban(id: string): void {
+
+        let index = this.blacklist.indexOf(id)
+
+        if (index !== -1)
+            this.blacklist.splice(index, 1)
+
+    }
+
+    /**
+     * Share a copy of the given object with every connected peer, changes made to it are synced.
+     * options.writable restricts which peers may modify it, see SyncWritePermission,
+     *    options.owner defaults to this peer.
+     */
+    async syncObject(object: object, options: SyncOptions = {}): Promise<string> {
+
+        if (!this.isHosting && !this.isMesh && this.hasConnections()) throw 'Cannot sync object when not hosting and connected'
+
+        let uuid: string
+        do { uuid = crypto.randomUUID() } while (this.syncedObjects.has(uuid));
+
+        return await this.#sync(uuid, object, options, 0)
+
+    }
+
+    /**
+     * Share an object under the given uuid, starting at the given version
+     */
+    async #sync(uuid: string, object: object, options: SyncOptions, version: number): Promise<string> {
+
+        let objstr = JSON.stringify(object)
+
+        this.recorder?.record('local', null, { evt: 'Network$NEWSYNC', uuid, object: JSON.parse(objstr), version, options: savedOptions(options) })
+
+        let proxy = proxyfy(JSON.parse(objstr), (root, path, value, operation, previous) => {
+
+            this.shareChange(uuid, path, value, operation, previous)
+
+        })
+
+        this.syncedObjects.set(uuid, proxy)
+        this.syncOptions.set(uuid, { writable: 'all', owner: this.id ?? undefined, ...options })
+        this.syncStates.set(uuid, {
+            version, confirmed: JSON.parse(objstr), pending: [], seq: 0, pathVersions: new Map(), history: [],
+            clock: 1, stamps: new Map([['[]', { path: [], clock: 1, peer: this.id ?? '' }]])
+        })
+
+        // Peers which have not authenticated yet receive it once confirmed
+        for (let [id, networkConnection] of this.connections)
+            if (networkConnection.confirmed && networkConnection.challenge === null && this.canSee(uuid, id)) networkConnection.showObject(uuid)
+
+        await this.notifyWatchers(uuid, [[]])
+
+        for (let callback of this.getCallbacks(this.isMesh ? NetworkEvent.MESH_P2P_SYNCED_DATA : NetworkEvent.HOST_P2P_SYNCED_DATA))
+            await callback.call(this, uuid, proxy)
+
+        return uuid
+
+    }
+
+    /**
+     * Returns a serializable dump of the synced objects, their uuid, version and options, see restore()
+     */
+    snapshot(): NetworkSnapshot {
+
+        let objects = [...this.syncedObjects].map(([uuid, proxy]) => ({
+            uuid,
+            data: JSON.parse(JSON.stringify(unproxyfy(proxy))),
+            version: this.syncStates.get(uuid)?.version ?? 0,
+            options: savedOptions(this.syncOptions.get(uuid) ?? {})
+        }))
+
+        return { format: 1, time: Date.now(), objects }
+
+    }
+
+    /**
+     * Sync again the objects of a snapshot under their uuid, replacing the objects already synced under it.
+     * The connected peers receive them as any newly synced object.
+     * The options which could not be saved can be given per uuid, they take precedence over the saved ones.
+     */
+    async restore(snapshot: NetworkSnapshot, options: { [uuid: string]: SyncOptions } = {}): Promise<string[]> {
+
+        if (!this.isHosting && !this.isMesh && this.hasConnections()) throw 'Cannot restore a snapshot when not hosting and connected'
+        if (snapshot?.format !== 1 || !Array.isArray(snapshot.objects)) throw 'Invalid snapshot'
+
+        let uuids: string[] = []
+
+        for (let { uuid, data, version, options: saved } of snapshot.objects) {
+
+            if (this.syncedObjects.has(uuid)) await this.unsync(uuid)
+
+            uuids.push(await this.#sync(uuid, data, { ...saved, ...options[uuid] }, version))
+
+        }
+
+        return uuids
+
+    }
+
+    /**
+     * Save a snapshot of the synced objects in this.storage
+     */
+    async save(): Promise<void> {
+
+        if (!this.storage) throw 'No storage has been set'
+
+        let snapshot = this.snapshot()
+
+        await this.storage.save(this.storageKey, snapshot)
+
+        this.#lastSave = JSON.stringify(snapshot.objects)
+
+    }
+
+    /**
+     * Restore the snapshot saved in this.storage, resolves to false if there is none
+     */
+    async load(options: { [uuid: string]: SyncOptions } = {}): Promise<boolean> {
+
+        if (!this.storage) throw 'No storage has been set'
+
+        let snapshot = await this.storage.load(this.storageKey)
+
+        if (!snapshot) return false
+
+        await this.restore(snapshot, options)
+
+        return true
+
+    }
+
+    /**
+     * Save the synced objects every interval ms when they changed since the last save, 0 stops saving them
+     */
+    autosave(interval: number): void {
+
+        if (this.#autosaveID) clearInterval(this.#autosaveID)
+
+        this.#autosaveID = null
+
+        if (interval <= 0) return
+
+        this.#autosaveID = setInterval(async () => {
+
+            if (JSON.stringify(this.snapshot().objects) === this.#lastSave) return
+
+            try { await this.save() }
+            catch (error) {
+
+                for (let callback of this.getCallbacks(NetworkEvent.PEER_ERROR))
+                    await callback.call(this, error)
+
+            }
+
+        }, interval)
+
+    }
+
+    async unsync(uuid: string) {
+
+        if (!this.isHosting && !this.isMesh && this.hasConnections()) throw 'Cannot unsync object when not hosting and connected'
+
+        if (!this.syncedObjects.has(uuid)) return
+
+        this.recorder?.record('local', null, { evt: 'Network$UNSYNC', uuid })
+
+        let unproxyfiedObject = unproxyfy(this.syncedObjects.get(uuid))
+
+        for (let networkConnection of this.connections.values())
+            if (this.canSee(uuid, networkConnection.id) || networkConnection.visibleObjects.has(uuid))
+                networkConnection.hideObject(uuid)
+
+        this.syncedObjects.delete(uuid)
+        this.syncOptions.delete(uuid)
+        this.syncStates.delete(uuid)
+        this.#pendingChanges.delete(uuid)
+
+        await this.notifyWatchers(uuid, [[]])
+
+        for (let callback of this.getCallbacks(this.isMesh ? NetworkEvent.MESH_P2P_UNSYNCED_DATA : NetworkEvent.HOST_P2P_UNSYNCED_DATA))
+            await callback.call(this, unproxyfiedObject)
+
+    }
+
+    async unsyncAll() {
+
+        for (let uuid of [...this.syncedObjects.keys()])
+            await this.unsync(uuid)
+
+    }
+
+    /**
+     * Returns true if the given peer is part of the audience of a synced object
+     */
+    canSee(uuid: string, id: string): boolean {
+
+        let { audience, room } = this.syncOptions.get(uuid) ?? {}
+
+        if (room !== undefined && !this.rooms.get(room)?.has(id)) return false
+
+        if (!audience) return true
+        if (Array.isArray(audience)) return audience.includes(id)
+
+        return audience(id)
+
+    }
+
+    /**
+     * Change the audience of a synced object, see refreshAudience()
+     */
+    setAudience(uuid: string, audience: SyncAudience | undefined): void {
+
+        let options = this.syncOptions.get(uuid)
+
+        if (!options) return
+
+        options.audience = audience
+
+        this.refreshAudience(uuid)
+
+    }
+
+    /**
+     * Send a synced object to the peers that joined its audience and remove it from the peers that left it.
+     * To be called when the state used by an audience function has changed.
+     */
+    refreshAudience(uuid: string): void {
+
+        if (!this.syncedObjects.has(uuid)) return
+
+        for (let [id, networkConnection] of this.connections) {
+
+            if (!networkConnection.confirmed || networkConnection.challenge !== null) continue
+
+            let visible = this.canSee(uuid, id)
+
+            if (visible && !networkConnection.visibleObjects.has(uuid)) networkConnection.showObject(uuid)
+            else if (!visible && networkConnection.visibleObjects.has(uuid)) networkConnection.hideObject(uuid)
+
+        }
+
+    }
+
+    /**
+     * Send any data about a synced object to every connected peer of its audience, except a given one if any
+     */
+    sendToAudience(uuid: string, data: any, except?: string): void {
+
+        for (let [id, networkConnection] of this.connections)
+            if (id !== except && networkConnection.challenge === null && this.canSee(uuid, id))
+                networkConnection.send(data)
+
+    }
+
+    /**
+     * Returns true if the given peer is allowed to apply the given change to a synced object
+     */
+    canWrite(uuid: string, id: string, { path, value, operation }: SyncChange): boolean {
+
+        if (id === this.id) return true
+
+        let { writable = 'all', owner } = this.syncOptions.get(uuid) ?? {}
+
+        if (writable === 'all') return true
+        if (writable === 'host') return false
+        if (writable === 'owner') return id === owner
+
+        return writable(id, path, value, operation)
+
+    }
+
+    /**
+     * Send a change made to a synced object to the connected peers.
+     * The change is held back while a transaction is running on the object,
+     *    or until the end of the current microtask if this.batchChanges is enabled.
+     */
+    shareChange(uuid: string, path: (string | symbol)[], value: any, operation: SyncOperation, previous?: any): void {
+
+        this.recorder?.record('local', null, { evt: 'Network$CHANGESYNC', uuid, path, value, operation })
+
+        this.#notifyWatchers(uuid, [path])
+
+        this.#rollbacks.get(uuid)?.changes.push(invertChange(path, value, operation, previous))
+
+        if (!this.#transactions.has(uuid) && !this.batchChanges) {
+
+            this.#sendChanges(uuid, [{ path, value, operation }])
+            return
+
+        }
+
+        if (!this.#pendingChanges.has(uuid)) {
+
+            this.#pendingChanges.set(uuid, [])
+
+            if (!this.#transactions.has(uuid))
+                queueMicrotask(() => this.#flushChanges(uuid))
+
+        }
+
+        this.#pendingChanges.get(uuid)!.push({ path, value, operation })
+
+    }
+
+    /**
+     * Send the held back changes of a synced object as a single message
+     */
+    #flushChanges(uuid: string): void {
+
+        if (this.#transactions.has(uuid)) return
+
+        let changes = this.#pendingChanges.get(uuid)
+
+        this.#pendingChanges.delete(uuid)
+
+        if (!changes?.length) return
+
+        this.#sendChanges(uuid, changes)
+
+    }
+
+    /**
+     * Send changes made locally to a synced object.
+     * When hosting, they are numbered, otherwise they are kept until the host acknowledges them.
+     */
+    #sendChanges(uuid: string, changes: SyncChange[]): void {
+
+        let state = this.syncStates.get(uuid)
+
+        if (state && this.isMesh) {
+
+            changes = meshChanges(unproxyfy(this.syncedObjects.get(uuid)), changes)
+
+            state.clock++
+
+            for (let { path } of changes)
+                this.#stamp(state, { path: path.map(String), clock: state.clock, peer: this.id ?? '' })
+
+        }
+
+        let message: any = changeMessage(uuid, changes)
+
+        if (state && this.isMesh) message.clock = state.clock
+
+        else if (state && this.isHosting) {
+
+            message.version = this.recordVersion(state, changes)
+            message.origin = this.id
+
+            this.prunePathVersions(uuid)
+
+            this.recordHistory(state, message)
+
+        } else if (state && !this.isMesh && (this.hasConnections() || this.session?.timeoutID)) {
+
+            message.seq = ++state.seq
+            message.base = state.version
+
+            state.pending.push({ seq: message.seq, changes })
+
+            // Sent once the session with the host is resumed
+            if (this.session?.timeoutID) return
+
+        }
+
+        this.sendToAudience(uuid, message)
+
+    }
+
+    /**
+     * Number the given changes as the next version of a synced object, returns that version
+     */
+    recordVersion(state: SyncState, changes: SyncChange[]): number {
+
+        state.version++
+
+        for (let { path } of changes)
+            state.pathVersions.set(path.map(String).join('.'), state.version)
+
+        return state.version
+
+    }
+
+    /**
+     * Forget the versions of the paths changed at or before the oldest version a client may still base its changes on,
+     *    mergeChanges() treating them as it treats the paths never changed
+     */
+    prunePathVersions(uuid: string): void {
+
+        let state = this.syncStates.get(uuid)
+
+        if (!state) return
+
+        let oldest = Infinity
+
+        for (let networkConnection of this.connections.values())
+            if (networkConnection.visibleObjects.has(uuid)) oldest = Math.min(oldest, networkConnection.syncBases.get(uuid) ?? 0)
+
+        for (let [path, version] of state.pathVersions)
+            if (version <= oldest) state.pathVersions.delete(path)
+
+    }
+
+    /**
+     * Keep a numbered change message of a synced object, used to catch up resuming clients
+     */
+    recordHistory(state: SyncState, message: any): void {
+
+        state.history.push(message)
+
+        if (state.history.length > this.syncHistoryLength)
+            state.history.shift()
+
+    }
+
+    /**
+     * Send again the local changes not acknowledged by the host, after the session has been resumed
+     */
+    resendPending(): void {
+
+        for (let [uuid, state] of this.syncStates)
+            for (let { seq, changes } of state.pending)
+                this.sendToAudience(uuid, { ...changeMessage(uuid, changes), seq, base: state.version })
+
+    }
+
+    /**
+     * Returns the changes made by a client to a synced object, merged with the changes made since the version it knew
+     *    if the object has a merge function
+     */
+    mergeChanges(uuid: string, id: string, base: number | undefined, changes: SyncChange[]): SyncChange[] {
+
+        let state = this.syncStates.get(uuid)
+        let merge = this.syncOptions.get(uuid)?.merge
+
+        if (!state || !merge || base === undefined) return changes
+
+        let object = unproxyfy(this.syncedObjects.get(uuid))
+
+        return changes.map(change => {
+
+            if (change.operation.type !== 'set' || (state!.pathVersions.get(change.path.map(String).join('.')) ?? 0) <= base)
+                return change
+
+            let current: any = object
+            for (let segment of change.path) current = current?.[segment]
+
+            return { ...change, value: merge!(change.path, current, change.value, id) }
+
+        })
+
+    }
+
+    /**
+     * Apply a change made by another peer of a mesh to a synced object, the last change wins:
+     *    it is dropped if its path, or a path containing it, has been changed after it,
+     *    and the changes made after it inside its path are written again over it.
+     * Every peer ends up with the same object whatever the order the changes arrive in.
+     * Returns true if the change has been applied.
+     */
+    mergeStamped(uuid: string, stamp: SyncStamp, value: any): boolean {
+
+        let state = this.syncStates.get(uuid)
+        let proxy = this.syncedObjects.get(uuid)
+
+        if (!state || !proxy) return false
+
+        let object = unproxyfy(proxy)
+
+        state.clock = Math.max(state.clock, stamp.clock)
+
+        for (let other of state.stamps.values())
+            if (isInside(stamp.path, other.path) && compareStamps(other, stamp) > 0) return false
+
+        let kept = [...state.stamps.values()]
+            .filter(other => isInside(other.path, stamp.path) && compareStamps(other, stamp) > 0)
+            .sort((a, b) => a.path.length - b.path.length)
+            .map(other => ({ path: other.path, value: valueAt(object, other.path) }))
+
+        writeAt(object, stamp.path, value)
+
+        for (let { path, value } of kept)
+            writeAt(object, path, value)
+
+        this.#stamp(state, stamp)
+
+        return true
+
+    }
+
+    /**
+     * Keep the latest change of a path in a mesh, forgetting the ones made inside it before, or along with it in a batch
+     */
+    #stamp(state: SyncState, stamp: SyncStamp): void {
+
+        for (let [key, other] of state.stamps)
+            if (isInside(other.path, stamp.path) && compareStamps(other, stamp) <= 0) state.stamps.delete(key)
+
+        state.stamps.set(JSON.stringify(stamp.path), stamp)
+
+    }
+
+    /**
+     * Rebuild a synced object from the state confirmed by the host and the local changes not acknowledged yet
+     */
+    rebase(uuid: string): void {
+
+        let state = this.syncStates.get(uuid)
+        let proxy = this.syncedObjects.get(uuid)
+
+        if (!state || !proxy) return
+
+        let view = JSON.parse(JSON.stringify(state.confirmed))
+
+        for (let { changes } of state.pending)
+            applyChanges(view, changes)
+
+        patchObject(unproxyfy(proxy), view)
+
+    }
+
+    /**
+     * Run the given function on a synced object, every change made meanwhile is sent at once
+     *    and applied all-or-nothing by the other peers.
+     * If the function throws, the changes it made are undone and nothing is sent,
+     *    the changes received meanwhile from the other peers are kept.
+     */
+    async transaction<T>(uuid: string, fn: (proxiedObject: any) => T | Promise<T>): Promise<T> {
+
+        let proxy = this.syncedObjects.get(uuid)
+
+        if (!proxy) throw `No synced object with uuid "${uuid}"`
+
+        if (this.#transactions.has(uuid)) return await fn(proxy)
+
+        // Changes held back by batchChanges before the transaction are not part of it
+        let held = this.#pendingChanges.get(uuid)?.length ?? 0
+        let rollback: Rollback = { changes: [], received: [] }
+
+        this.#transactions.add(uuid)
+        this.#rollbacks.set(uuid, rollback)
+
+        try {
+
+            let result = await fn(proxy)
+
+            this.#transactions.delete(uuid)
+            this.#rollbacks.delete(uuid)
+            this.#flushChanges(uuid)
+
+            return result
+
+        } catch (error) {
+
+            this.#transactions.delete(uuid)
+            this.#rollbacks.delete(uuid)
+            this.#pendingChanges.get(uuid)?.splice(held)
+
+            let object = unproxyfy(proxy)
+
+            // The changes replaced meanwhile by those of the other peers are already undone
+            let undone = rollback.changes.filter((change, index) =>
+                !rollback.received.some(({ path, after }) => after > index && isInside(change.path.map(String), path)))
+
+            for (let { path, value, operation } of undone.reverse())
+                applyChange(object, path, value, operation)
+
+            this.#flushChanges(uuid)
+
+            if (undone.length) await this.#notifyWatchers(uuid, undone.map(({ path }) => path))
+
+            throw error
+
+        }
+
+    }
+
+    /**
+     * Call the handler whenever the value at a path of a synced object changes, whether by a local write
+     *    or by a change of another peer. The path is either dotted or an array of keys, '*' matching any key,
+     *    e.g. 'players.*.score'. The object does not need to be synced yet.
+     * Returns a function removing the handler.
+     */
+    watch(uuid: string, path: string | string[], handler: WatchHandler): () => void {
+
+        let pattern = Array.isArray(path) ? path.map(String) : path === '' ? [] : path.split('.')
+        let watcher = { pattern, handler, values: new Map<string, string>() }
+
+        // Current values are known so that only actual changes are reported
+        let proxy = this.syncedObjects.get(uuid)
+        let object = proxy ? unproxyfy(proxy) : undefined
+
+        for (let match of matchPaths(object, pattern, [])) {
+
+            let json = JSON.stringify(valueAt(object, match))
+            if (json !== undefined) watcher.values.set(JSON.stringify(match), json)
+
+        }
+
+        if (!this.#watchers.has(uuid)) this.#watchers.set(uuid, [])
+
+        this.#watchers.get(uuid)!.push(watcher)
+
+        return () => {
+
+            let watchers = this.#watchers.get(uuid) ?? []
+            let index = watchers.indexOf(watcher)
+
+            if (index !== -1) watchers.splice(index, 1)
+            if (!watchers.length) this.#watchers.delete(uuid)
+
+        }
+
+    }
+
+    /**
+     * Call the watchers of the paths of a synced object related to the given paths changed by another peer, see watch()
+     */
+    async notifyWatchers(uuid: string, paths: (string | symbol | number)[][]): Promise<void> {
+
+        let rollback = this.#rollbacks.get(uuid)
+
+        // Kept so that a failing transaction does not undo what they replaced
+        if (rollback) for (let path of paths)
+            rollback.received.push({ path: path.map(String), after: rollback.changes.length })
+
+        await this.#notifyWatchers(uuid, paths)
+
+    }
+
+    /**
+     * Call the watchers of the paths of a synced object related to the given changed paths
+     */
+    async #notifyWatchers(uuid: string, paths: (string | symbol | number)[][]): Promise<void> {
+
+        let watchers = this.#watchers.get(uuid)
+
+        if (!watchers) return
+
+        let proxy = this.syncedObjects.get(uuid)
+        let object = proxy ? unproxyfy(proxy) : undefined
+
+        for (let watcher of [...watchers]) for (let changed of paths) {
+
+            let near = changed.map(String)
+            let matches = new Map(matchPaths(object, watcher.pattern, near).map(match => [JSON.stringify(match), match]))
+
+            // Paths which had a value and may not exist anymore
+            for (let key of watcher.values.keys()) {
+
+                let match: string[] = JSON.parse(key)
+
+                if (match.every((segment, index) => index >= near.length || segment === near[index]))
+                    matches.set(key, match)
+
+            }
+
+            for (let [key, match] of matches) {
+
+                let json = JSON.stringify(valueAt(object, match))
+                let previous = watcher.values.get(key)
+
+                if (json === previous) continue
+
+                if (json === undefined) watcher.values.delete(key)
+                else watcher.values.set(key, json)
+
+                // A failing watcher is reported as an error of the peer, without keeping the others from being called
+                try {
+
+                    await watcher.handler.call(this, json === undefined ? undefined : JSON.parse(json), previous === undefined ? undefined : JSON.parse(previous), match)
+
+                } catch (error) {
+
+                    for (let callback of this.getCallbacks(NetworkEvent.PEER_ERROR))
+                        await callback.call(this, error)
+
+                }
+
+            }
+
+        }
+
+    }
+
+    /**
+     * Send any data too large for a single message to a given connected peer, in chunks.
+     * The peer receives it through NetworkEvent.TRANSFER_COMPLETED along with the given metadata.
+     * Resolves once the peer has received and verified the whole payload, rejects if the transfer is cancelled.
+     */
+    async sendLarge(id: string, data: any, meta: any = {}): Promise<void> {
+
+        await this.#transfer(id, 'data', new TextEncoder().encode(JSON.stringify(data)), meta)
+
+    }
+
+    /**
+     * Send a file or any blob to a given connected peer, in chunks.
+     * The peer receives it as a Blob through NetworkEvent.TRANSFER_COMPLETED,
+     *    the metadata is completed with the name, type and size of the file.
+     * Resolves once the peer has received and verified the whole file, rejects if the transfer is cancelled.
+     */
+    async sendFile(id: string, blob: Blob, meta: any = {}): Promise<void> {
+
+        meta = { name: (blob as File).name, type: blob.type, size: blob.size, ...meta }
+
+        await this.#transfer(id, 'file', new Uint8Array(await blob.arrayBuffer()), meta)
+
+    }
+
+    async #transfer(id: string, kind: 'file' | 'data', bytes: Uint8Array, meta: any): Promise<void> {
+
+        if (!this.connections.get(id)?.confirmed) throw `You are not connected to "${id}"`
+
+        let transfer = new Transfer(crypto.randomUUID(), id, true, kind, meta, bytes.length, this.transferChunkSize, await sha256(bytes), bytes)
+
+        transfer.window = this.transferWindow
+
+        let promise = new Promise<void>((resolve, reject) => {
+            transfer.resolve = resolve
+            transfer.reject = reject
+        })
+
+        this.transfers.set(transfer.id, transfer)
+
+        for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_STARTED))
+            await callback.call(this, transfer)
+
+        this.#offerTransfer(transfer)
+
+        return promise
+
+    }
+
+    /**
+     * Tell the receiving peer about a transfer, it answers with the number of chunks it already holds.
+     * The window is sent along so that the peer acknowledges the chunks often enough.
+     */
+    #offerTransfer(transfer: Transfer): void {
+
+        let { id, kind, meta, size, chunkSize, hash, window } = transfer
+
+        transfer.paused = true
+        transfer.sent = transfer.received
+
+        this.sendTo(transfer.peer, { evt: 'Network$TRANSFER', id, kind, meta, size, chunkSize, hash, window })
+
+        this.#watchStall(transfer)
+
+    }
+
+    /**
+     * Cancel an outgoing transfer if the receiving peer acknowledges nothing for this.transferStallTimeout ms
+     */
+    #watchStall(transfer: Transfer): void {
+
+        if (transfer.stallTimeoutID) clearTimeout(transfer.stallTimeoutID)
+
+        transfer.stallTimeoutID = setTimeout(() => this.cancelTransfer(transfer.id, 'stalled'), this.transferStallTimeout)
+
+    }
+
+    /**
+     * Send the chunks of an outgoing transfer, as long as the receiving peer keeps up.
+     * Yields between chunks so that heartbeats and other messages keep flowing.
+     */
+    async pumpTransfer(transfer: Transfer): Promise<void> {
+
+        if (transfer.pumping) return
+
+        transfer.pumping = true
+
+        while (!transfer.paused && transfer.sent < transfer.chunkCount && this.transfers.get(transfer.id) === transfer) {
+
+            let networkConnection = this.connections.get(transfer.peer)
+
+            if (!networkConnection) break
+
+            if (transfer.sent - transfer.received >= transfer.window ||
+                (networkConnection.connection.dataChannel?.bufferedAmount ?? 0) > this.transferBufferLimit) {
+
+                await new Promise(resolve => setTimeout(resolve, 20))
+                continue
+
+            }
+
+            networkConnection.send({ evt: 'Network$CHUNK', id: transfer.id, index: transfer.sent, data: transfer.chunk(transfer.sent) })
+            transfer.sent++
+
+            await new Promise(resolve => setTimeout(resolve, 0))
+
+        }
+
+        transfer.pumping = false
+
+    }
+
+    /**
+     * Suspend the transfers with a given peer, they are cancelled if it does not reconnect within this.transferResumeDelay ms
+     */
+    pauseTransfers(id: string): void {
+
+        for (let transfer of this.transfers.values()) if (transfer.peer === id && !transfer.resumeTimeoutID) {
+
+            transfer.paused = true
+            transfer.resumeTimeoutID = setTimeout(() => this.#endTransfer(transfer, 'timeout'), this.transferResumeDelay)
+
+            if (transfer.stallTimeoutID) clearTimeout(transfer.stallTimeoutID)
+            transfer.stallTimeoutID = null
+
+        }
+
+    }
+
+    /**
+     * Offer again the outgoing transfers with a given peer that has reconnected
+     */
+    resumeTransfers(id: string): void {
+
+        for (let transfer of this.transfers.values()) if (transfer.peer === id && transfer.resumeTimeoutID) {
+
+            clearTimeout(transfer.resumeTimeoutID)
+            transfer.resumeTimeoutID = null
+
+            if (transfer.outgoing) this.#offerTransfer(transfer)
+
+        }
+
+    }
+
+    /**
+     * Cancel a transfer, on both sides if the peer is still connected
+     */
+    async cancelTransfer(transferID: string, reason: string = 'cancelled'): Promise<void> {
+
+        let transfer = this.transfers.get(transferID)
+
+        if (!transfer) return
+
+        this.sendTo(transfer.peer, { evt: 'Network$TRANSFERCANCEL', id: transferID, reason })
+
+        await this.#endTransfer(transfer, reason)
+
+    }
+
+    /**
+     * Forget a transfer, completing it if no reason is given or cancelling it otherwise
+     */
+    async #endTransfer(transfer: Transfer, reason?: string, payload?: any): Promise<void> {
+
+        if (this.transfers.get(transfer.id) !== transfer) return
+
+        this.transfers.delete(transfer.id)
+
+        if (transfer.resumeTimeoutID) clearTimeout(transfer.resumeTimeoutID)
+        if (transfer.stallTimeoutID) clearTimeout(transfer.stallTimeoutID)
+
+        if (reason === undefined) {
+
+            transfer.resolve()
+
+            for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_COMPLETED))
+                await callback.call(this, transfer, payload)
+
+        } else {
+
+            transfer.reject(reason)
+
+            for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_CANCELLED))
+                await callback.call(this, transfer, reason)
+
+        }
+
+    }
+
+    /**
+     * Handle the transfer messages of a given connection
+     */
+    async receiveTransfer(networkConnection: NetworkConnection, data: any): Promise<void> {
+
+        let transfer = this.transfers.get(data.id)
+
+        // Only the sending peer can resume an incoming transfer
+        if (data.evt === 'Network$TRANSFER' && transfer && (transfer.peer !== networkConnection.id || transfer.outgoing)) return
+
+        if (data.evt === 'Network$TRANSFER') {
+
+            if (!transfer && data.size > this.maxTransferSize) {
+
+                networkConnection.send({ evt: 'Network$TRANSFERCANCEL', id: data.id, reason: 'too large' })
+                return
+
+            }
+
+            if (!transfer && [...this.transfers.values()].filter(({ peer, outgoing }) => peer === networkConnection.id && !outgoing).length >= this.maxIncomingTransfers) {
+
+                networkConnection.send({ evt: 'Network$TRANSFERCANCEL', id: data.id, reason: 'too many transfers' })
+                return
+
+            }
+
+            if (!transfer) {
+
+                transfer = new Transfer(data.id, networkConnection.id, false, data.kind, data.meta, data.size, data.chunkSize, data.hash)
+
+                this.transfers.set(transfer.id, transfer)
+
+                for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_STARTED))
+                    await callback.call(this, transfer)
+
+            } else if (transfer.resumeTimeoutID) {
+
+                clearTimeout(transfer.resumeTimeoutID)
+                transfer.resumeTimeoutID = null
+
+            }
+
+            // Without the window of the sender, every chunk is acknowledged
+            transfer.window = data.window ?? 1
+            transfer.paused = false
+
+            networkConnection.send({ evt: 'Network$TRANSFERACK', id: transfer.id, received: transfer.received })
+
+        }
+
+        if (!transfer || transfer.peer !== networkConnection.id) return
+
+        if (data.evt === 'Network$TRANSFERACK' && transfer.outgoing) {
+
+            transfer.received = Math.max(transfer.received, data.received)
+            transfer.sent = Math.max(transfer.sent, transfer.received)
+            transfer.paused = false
+
+            this.#watchStall(transfer)
+
+            for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_PROGRESS))
+                await callback.call(this, transfer)
+
+            this.pumpTransfer(transfer)
+
+        }
+
+        else if (data.evt === 'Network$CHUNK' && !transfer.outgoing) {
+
+            try {
+
+                if (!transfer.store(data.index, data.data)) return
+
+            } catch {
+
+                await this.cancelTransfer(transfer.id, 'invalid chunk')
+                return
+
+            }
+
+            // Acknowledging every few chunks of the window of the sender lets it move the window forward
+            if (transfer.received % Math.max(1, transfer.window >> 2) === 0 || transfer.isComplete()) {
+
+                networkConnection.send({ evt: 'Network$TRANSFERACK', id: transfer.id, received: transfer.received })
+
+                for (let callback of this.getCallbacks(NetworkEvent.TRANSFER_PROGRESS))
+                    await callback.call(this, transfer)
+
+            }
+
+        }
+
+        else if (data.evt === 'Network$TRANSFERDONE' && transfer.outgoing)
+            await this.#endTransfer(transfer)
+
+        else if (data.evt === 'Network$TRANSFERCANCEL')
+            await this.#endTransfer(transfer, data.reason)
+
+        if (!transfer.outgoing && transfer.isComplete() && this.transfers.get(transfer.id) === transfer && !transfer.verifying) {
+
+            transfer.verifying = true
+
+            if (await sha256(transfer.bytes) !== transfer.hash) {
+
+                networkConnection.send({ evt: 'Network$TRANSFERCANCEL', id: transfer.id, reason: 'integrity' })
+                await this.#endTransfer(transfer, 'integrity')
+                return
+
+            }
+
+            let payload: any
+
+            try {
+
+                payload = transfer.kind === 'file' ?
+                    new Blob([transfer.bytes], { type: transfer.meta?.type ?? '' }) :
+                    JSON.parse(new TextDecoder().decode(transfer.bytes))
+
+            } catch {
+
+                await this.cancelTransfer(transfer.id, 'invalid data')
+                return
+
+            }
+
+            networkConnection.send({ evt: 'Network$TRANSFERDONE', id: transfer.id })
+
+            await this.#endTransfer(transfer, undefined, payload)
+
+        }
+
+    }
+
+    /**
+     * Register a procedure that connected peers can call using network.call().
+     * The handler is called with the NetworkConnection of the caller as this,
+     *    its returned value (or resolved value) is sent back to the caller.
+     */
+    register(name: string, handler: (this: NetworkConnection, ...args: any[]) => any): void {
+
+        this.procedures.set(name, handler)
+
+    }
+
+    /**
+     * Removes a procedure previously registered
+     */
+    unregister(name: string): void {
+
+        this.procedures.delete(name)
+
+    }
+
+    /**
+     * Call a procedure registered on a given connected peer.
+     * Rejects if the peer is not connected, if the procedure throws or is unknown,
+     *    if it does not answer within this.callTimeout ms or if the connection closes meanwhile.
+     */
+    call(id: string, name: string, ...args: any[]): Promise<any> {
+
+        let networkConnection = this.connections.get(id)
+
+        if (!networkConnection) return Promise.reject(`You are not connected to "${id}"`)
+
+        return networkConnection.call(name, args)
+
+    }
+
+    /**
+     * Returns the reason why a media call with the given connected peer cannot take place, or null if it can.
+     * The peer must be confirmed and still allowed to be connected.
+     */
+    mediaCallRefusal(networkConnection: NetworkConnection): CloseCode | null {
+
+        if (!networkConnection.confirmed || networkConnection.challenge !== null || networkConnection.closeInfo) return CloseCode.NOT_ACCEPTING
+        if (networkConnection.receiver && !(networkConnection.mesh ? this.isMesh : this.isHosting)) return CloseCode.NOT_HOSTING
+        if (this.blacklist.includes(networkConnection.id)) return CloseCode.BANNED
+        if (networkConnection.receiver && this.useWhitelist && !this.whitelist.includes(networkConnection.id)) return CloseCode.NOT_WHITELISTED
+
+        return null
+
+    }
+
+    /**
+     * Call a connected peer, sending the given stream.
+     * The call ends at the latest when the connection with the peer closes.
+     */
+    async startMediaCall(id: string, stream: MediaStream, metadata: any = {}): Promise<MediaCall> {
+
+        let networkConnection = this.connections.get(id)
+
+        if (!networkConnection) throw `You are not connected to "${id}"`
+        if (!this.peer?.call) throw 'The transport does not support media calls'
+
+        let refusal = this.mediaCallRefusal(networkConnection)
+
+        if (refusal !== null) throw closeReasons[refusal]
+
+        let callID = crypto.randomUUID()
+        let media = this.peer.call(id, stream, { metadata: { mediaCall: callID, metadata } })
+        let mediaCall = new MediaCall(callID, networkConnection, media, true, stream, metadata)
+
+        networkConnection.mediaCalls.set(callID, mediaCall)
+
+        for (let callback of this.getCallbacks(NetworkEvent.MEDIA_CALL_STARTED))
+            await callback.call(networkConnection, mediaCall)
+
+        return mediaCall
+
+    }
+
+    /**
+     * Hang up every media call with a given peer
+     */
+    async endMediaCalls(id: string): Promise<void> {
+
+        for (let mediaCall of [...this.connections.get(id)?.mediaCalls.values() ?? []])
+            await mediaCall.end()
+
+    }
+
+    /**
+     * Returns the streams received from a given peer in the media calls currently active with it
+     */
+    mediaStreams(id: string): MediaStream[] {
+
+        return [...this.connections.get(id)?.mediaCalls.values() ?? []]
+            .map(mediaCall => mediaCall.remoteStream)
+            .filter((stream): stream is MediaStream => stream !== null)
+
+    }
+
+    /**
+     * Answer or refuse a media call received from another peer
+     */
+    async #mediaCall(media: TransportMediaConnection): Promise<void> {
+
+        let networkConnection = this.connections.get(media.peer)
+        let callID = media.metadata?.mediaCall
+
+        if (typeof callID !== 'string' || !networkConnection || !this.acceptMediaCalls || this.mediaCallRefusal(networkConnection) !== null) {
+
+            media.close()
+            return
+
+        }
+
+        let metadata = media.metadata.metadata ?? {}
+        let stream = this.answerMediaCall ? await this.answerMediaCall.call(networkConnection, metadata) : this.localStream
+
+        // The connection may have closed while the stream was being obtained
+        if (stream === false || this.connections.get(media.peer) !== networkConnection || networkConnection.closeInfo) {
+
+            media.close()
+            return
+
+        }
+
+        let mediaCall = new MediaCall(callID, networkConnection, media, false, stream, metadata)
+
+        networkConnection.mediaCalls.set(callID, mediaCall)
+        media.answer(stream ?? undefined)
+
+        for (let callback of this.getCallbacks(NetworkEvent.MEDIA_CALL_STARTED))
+            await callback.call(networkConnection, mediaCall)
+
+    }
+
+}
+
+/**
+ * The Room class is a named group of clients of the host, obtained with network.room(name).
+ * Only the members of a room receive its messages and the objects synced in it,
+ *    so that a single host can run a lobby and several matches at once.
+ */
+export class Room {
+
+    name: string
+    network: Network
+    members: Set<string> = new Set()
+    joinable: boolean = false // Clients may join the room by themselves using network.joinRoom()
+
+    constructor(name: string, network: Network) {
+
+        this.name = name
+        this.network = network
+
+    }
+
+    /**
+     * Returns true if the given peer is a member of the room
+     */
+    has(id: string): boolean { return this.members.has(id) }
+
+    /**
+     * Returns the uuid of the objects synced in the room
+     */
+    objects(): string[] {
+
+        return [...this.network.syncOptions].filter(([uuid, options]) => options.room === this.name).map(([uuid]) => uuid)
+
+    }
+
+    /**
+     * Add a client to the room, it receives the objects synced in it
+     */
+    async join(id: string): Promise<void> {
+
+        if (this.members.has(id)) return
+
+        this.members.add(id)
+
+        this.network.sendTo(id, { evt: 'Network$JOINED', room: this.name })
+
+        for (let uuid of this.objects())
+            this.network.refreshAudience(uuid)
+
+        for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_ROOM_JOINED))
+            await callback.call(this, id)
+
+    }
+
+    /**
+     * Remove a client from the room, the objects synced in it are unsynced on its side
+     */
+    async leave(id: string): Promise<void> {
+
+        if (!this.members.delete(id)) return
+
+        this.network.sendTo(id, { evt: 'Network$LEFT', room: this.name })
+
+        for (let uuid of this.objects())
+            this.network.refreshAudience(uuid)
+
+        for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_ROOM_LEFT))
+            await callback.call(this, id)
+
+    }
+
+    /**
+     * Send any data to every member of the room
+     */
+    sendToAll(data: any): void {
+
+        for (let id of this.members)
+            this.network.sendTo(id, { evt: 'Network$ROOM', room: this.name, data })
+
+    }
+
+    /**
+     * Send any data to every member of the room except a given one
+     */
+    sendToAllExcept(except: string, data: any): void {
+
+        for (let id of this.members) if (id !== except)
+            this.network.sendTo(id, { evt: 'Network$ROOM', room: this.name, data })
+
+    }
+
+    /**
+     * Share an object with the members of the room only, see network.syncObject()
+     */
+    syncObject(object: object, options: SyncOptions = {}): Promise<string> {
+
+        return this.network.syncObject(object, { ...options, room: this.name })
+
+    }
+
+    /**
+     * Remove every member and unsync the objects of the room, which is then deleted
+     */
+    async close(): Promise<void> {
+
+        for (let uuid of this.objects())
+            await this.network.unsync(uuid)
+
+        for (let id of [...this.members])
+            await this.leave(id)
+
+        this.network.rooms.delete(this.name)
+
+    }
+
+}
+
+/**
+ * The MediaCall class is an audio/video call with a connected peer, placed with network.startMediaCall()
+ *    or answered automatically, see network.answerMediaCall.
+ * Its lifetime is tied to the NetworkConnection with the peer, through which hanging up is also told.
+ */
+export class MediaCall {
+
+    id: string
+    networkConnection: NetworkConnection
+    media: TransportMediaConnection
+    outgoing: boolean
+    metadata: any
+    localStream: MediaStream | null
+    remoteStream: MediaStream | null = null
+    ended: boolean = false
+
+    constructor(id: string, networkConnection: NetworkConnection, media: TransportMediaConnection, outgoing: boolean, localStream: MediaStream | null, metadata: any) {
+
+        this.id = id
+        this.networkConnection = networkConnection
+        this.media = media
+        this.outgoing = outgoing
+        this.localStream = localStream
+        this.metadata = metadata
+
+        this.media.on('stream', this.#stream.bind(this))
+        this.media.on('close', () => this.end(false))
+        this.media.on('error', () => this.end(false))
+
+    }
+
+    get peer(): string { return this.networkConnection.id }
+
+    async #stream(stream: MediaStream): Promise<void> {
+
+        // PeerJS may emit the same stream once per track
+        if (this.ended || stream === this.remoteStream) return
+
+        this.remoteStream = stream
+
+        for (let callback of this.networkConnection.network.getCallbacks(NetworkEvent.MEDIA_CALL_STREAM))
+            await callback.call(this.networkConnection, this, stream)
+
+    }
+
+    /**
+     * Hang up, the remote peer is told through the connection unless it did hang up itself
+     */
+    async end(notify: boolean = true): Promise<void> {
+
+        if (this.ended) return
+
+        this.ended = true
+        this.networkConnection.mediaCalls.delete(this.id)
+
+        if (notify && !this.networkConnection.closeInfo)
+            this.networkConnection.send({ evt: 'Network$HANGUP', id: this.id })
+
+        this.media.close()
+
+        for (let callback of this.networkConnection.network.getCallbacks(NetworkEvent.MEDIA_CALL_ENDED))
+            await callback.call(this.networkConnection, this)
+
+    }
+
+}
+
+export class NetworkConnection {
+
+    connection: TransportConnection
+    timer: Timer = new Timer()
+    intervalID: ReturnType<typeof setInterval>
+    receiver: boolean
+    network: Network
+    mesh: boolean
+    confirmed: boolean = false
+    visibleObjects: Set<string> = new Set()
+    syncBases: Map<string, number> = new Map() // Oldest version of every visible synced object the peer may still base its changes on
+
+    suspended: boolean = false // Lost but resumable, its closing is not reported
+    resuming: boolean = false // Attempt to resume a session with the host
+
+    rtt: number | null = null // Smoothed round trip time in ms, null until measured
+    jitter: number = 0 // Smoothed variation of the round trip time in ms
+    clockOffset: number = 0 // Estimated time in ms to add to the local clock to obtain the clock of the remote peer
+    heartbeatGap: number = 0 // Smoothed time in ms between two received heartbeats
+    maxHeartbeatGap: number = 0
+    heartbeatsLost: number = 0
+
+    codec: Codec = new Codec()
+    delivery: Delivery = new Delivery()
+    lossyConnection: TransportConnection | null = null // Second channel, see network.lossyChannel
+    #lossyOpen: boolean = false
+    #ackTimeoutID: ReturnType<typeof setTimeout> | null = null
+    #retransmitTimeoutID: ReturnType<typeof setTimeout> | null = null
+    #outbound: Promise<void> | null = null // Sending of the messages waiting for a compressed one
+    #inbound: Promise<void> | null = null // Handling of the messages waiting for a compressed one
+
+    closeInfo: CloseInfo | null = null // Set once either side closes the connection
+    protocolErrors: number = 0
+
+    received: { messages: number, bytes: number, syncWrites: number } = { messages: 0, bytes: 0, syncWrites: 0 }
+    rateLimited: number = 0 // Messages received over budget
+    dropped: number = 0 // Messages dropped because of the rate limits
+
+    #allowance: { messages: number, bytes: number, syncWrites: number } = { messages: Infinity, bytes: Infinity, syncWrites: Infinity }
+    #allowanceTime: number = Date.now()
+    #queue: { data: any, cost: { messages: number, bytes: number, syncWrites: number } }[] = []
+    #drainTimeoutID: ReturnType<typeof setTimeout> | null = null
+
+    challenge: string | null = null // Sent to the remote peer until it has authenticated
+    #authenticating: boolean = false
+    #authenticationTimeoutID: ReturnType<typeof setTimeout> | null = null
+
+    #heartbeatSeq: number = 0
+    #timedHeartbeats: boolean // The remote peer understands heartbeats carrying timings, older peers only the plain string
+    #lastHeartbeat: { seq: number, sent: number, receivedAt: number } | null = null
+
+    mediaCalls: Map<string, MediaCall> = new Map()
+
+    #callID: number = 0
+    pendingCalls: Map<number, { name: string, resolve: (value: any) => void, reject: (reason: any) => void, timeoutID: ReturnType<typeof setTimeout> }> = new Map()
+
+    constructor(connection: any, receiver: boolean, network: Network) {
+
+        this.connection = connection
+        this.receiver = receiver
+        this.network = network
+        this.mesh = network.isMesh
+
+        // The peer opening the connection tells whether it supports them, the other one answers with them once it does
+        this.#timedHeartbeats = receiver && !!connection.metadata?.timedHeartbeats
+
+        this.intervalID = setInterval(this.#timeout.bind(this), 1000)
+
+        this.connection.on('open', this.#open.bind(this))
+        this.connection.on('close', this.#close.bind(this))
+        this.connection.on('data', this.#receive.bind(this))
+
+    }
+
+    #timeout(): void {
+
+        if (this.timer.greaterThan(6000)) {
+
+            this.clean()
+
+            // console.log(`Connection with "${this.id}" timed out`)
+
+            // A resumable connection is closed silently, the other side may not have noticed the loss yet
+            if (this.network.suspendConnection(this)) this.connection.close()
+            else {
+
+                this.close(undefined, CloseCode.TIMEOUT)
+
+                if (!this.receiver && this.network.hostMigration)
+                    this.network.migrateHost(this.id).catch(async error => {
+
+                        for (let callback of this.network.getCallbacks(NetworkEvent.PEER_ERROR))
+                            await callback.call(this.network, error)
+
+                    })
+
+            }
+
+        } else {
+
+            let now = Date.now()
+            let last = this.#lastHeartbeat
+
+            if (!this.#timedHeartbeats) this.send('Network$IAMHERE')
+            else this.send({
+                evt: 'Network$IAMHERE',
+                seq: ++this.#heartbeatSeq,
+                sent: now,
+                echo: last?.sent ?? null,
+                held: last ? now - last.receivedAt : 0
+            })
+
+            if (this.receiver && this.confirmed)
+                this.network.shareRoster(this.id)
+
+        }
+
+    }
+
+    /**
+     * Update the latency and clock statistics from a heartbeat of the remote peer.
+     * Every heartbeat echoes the send time of the last one received along with how long it was held,
+     *    which gives a round trip and an NTP-like clock offset sample without any extra message.
+     */
+    #heartbeat(data: { seq: number, sent: number, echo: number | null, held: number }): void {
+
+        let now = Date.now()
+        let last = this.#lastHeartbeat
+
+        if (last) {
+
+            if (data.seq <= last.seq) return
+
+            let gap = now - last.receivedAt
+
+            this.heartbeatGap += this.heartbeatGap ? (gap - this.heartbeatGap) / 8 : gap
+            this.maxHeartbeatGap = Math.max(this.maxHeartbeatGap, gap)
+            this.heartbeatsLost += data.seq - last.seq - 1
+
+        }
+
+        this.#lastHeartbeat = { seq: data.seq, sent: data.sent, receivedAt: now }
+
+        if (data.echo === null) return
+
+        let rtt = Math.max(0, now - data.echo - data.held)
+        let offset = ((data.sent - data.held - data.echo) + (data.sent - now)) / 2
+
+        if (this.rtt === null) {
+
+            this.rtt = rtt
+            this.clockOffset = offset
+
+        } else {
+
+            this.jitter += (Math.abs(rtt - this.rtt) - this.jitter) / 16
+            this.rtt += (rtt - this.rtt) / 8
+            this.clockOffset += (offset - this.clockOffset) / 8
+
+        }
+
+    }
+
+    async #open(): Promise<void> {
+
+        // console.log(`connection opened with ${this.id}`)
+
+        this.network.recorder?.record('open', this.id, { receiver: this.receiver, metadata: this.connection.metadata })
+
+        let codecs = this.connection.metadata?.codecs
+
+        // The wire format is agreed before anything else is sent, peers not offering any keep the plain one
+        if (this.receiver && Array.isArray(codecs)) {
+
+            let agreed = this.network.codecs().filter(codec => codecs.includes(codec))
+
+            this.send({ evt: 'Network$CODECS', codecs: agreed })
+            this.useCodecs(agreed)
+
+        }
+
+        let session = this.network.sessions.get(this.id)
+
+        if (this.receiver && session?.timeoutID && this.network.isHosting && !this.mesh &&
+            this.connection.metadata?.session === session.token && !this.network.blacklist.includes(this.id)) {
+
+            await this.#resume(session)
+
+        } else if (this.receiver) {
+
+            let refusal = this.#refusal()
+
+            if (refusal !== null) {
+
+                this.cleanclose(undefined, refusal)
+
+            } else if (this.mesh) {
+
+                this.send('Network$CONFIRM')
+                this.confirmed = true
+
+                this.sendSyncedObjects()
+                this.network.resumeTransfers(this.id)
+
+                let peers = [...this.network.connections.values()].filter(connection => connection.confirmed && connection !== this).map(connection => connection.id)
+
+                this.send({ evt: 'Network$PEERS', peers })
+
+                for (let callback of this.network.getCallbacks(NetworkEvent.MESH_P2P_OPENED))
+                    await callback.call(this)
+
+            } else if (this.network.authenticate) {
+
+                this.challenge = crypto.randomUUID()
+                this.send({ evt: 'Network$CHALLENGE', challenge: this.challenge })
+
+                this.#authenticationTimeoutID = setTimeout(() => this.cleanclose('Authentication timed out', CloseCode.AUTHENTICATION_FAILED), this.network.authenticationTimeout)
+
+            } else {
+
+                await this.#accept()
+
+            }
+
+        } else if (!this.mesh && !this.resuming) {
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_OPENED))
+                await callback.call(this)
+
+        }
+
+        if (!this.receiver && this.network.lossyChannel && !this.closeInfo)
+            this.useLossyChannel(this.network.peer!.connect(this.id, { label: 'lossy', serialization: this.connection.serialization, reliable: false, metadata: { lossy: true } }))
+
+    }
+
+    /**
+     * Use a second channel with the remote peer for the delivery classes other than 'reliable-ordered'.
+     * The messages received on it are handled as the ones of the main channel.
+     */
+    useLossyChannel(connection: TransportConnection): void {
+
+        this.lossyConnection = connection
+
+        connection.on('open', () => { if (this.lossyConnection === connection) this.#lossyOpen = true })
+        connection.on('close', () => {
+
+            if (this.lossyConnection !== connection) return
+
+            this.lossyConnection = null
+            this.#lossyOpen = false
+
+        })
+        connection.on('data', this.#receive.bind(this))
+
+    }
+
+    /**
+     * Returns the reason why the remote peer cannot join, or null if it can
+     */
+    #refusal(): CloseCode | null {
+
+        if (!(this.mesh ? this.connection.metadata?.mesh : this.network.isHosting)) return CloseCode.NOT_HOSTING
+        if (!this.network.acceptConnections) return CloseCode.NOT_ACCEPTING
+
+        // A session which cannot be resumed anymore is refused, the client then considers the connection closed
+        if (this.connection.metadata?.session) return CloseCode.SESSION_EXPIRED
+
+        if (this.network.isFull()) return CloseCode.FULL
+        if (this.network.blacklist.includes(this.id)) return CloseCode.BANNED
+        if (this.network.useWhitelist && !this.network.whitelist.includes(this.id)) return CloseCode.NOT_WHITELISTED
+
+        return null
+
+    }
+
+    /**
+     * Confirm a client, which can then receive the synced objects
+     */
+    async #accept(): Promise<void> {
+
+        for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_OPENED))
+            await callback.call(this)
+
+        this.send('Network$CONFIRM')
+        this.confirmed = true
+
+        if (this.network.sessionGracePeriod > 0) {
+
+            let token = crypto.randomUUID()
+
+            this.network.sessions.set(this.id, { host: this.network.id!, token, grace: this.network.sessionGracePeriod, connection: this, outbox: [], timeoutID: null })
+            this.send({ evt: 'Network$SESSION', token, grace: this.network.sessionGracePeriod })
+
+        }
+
+        this.sendSyncedObjects()
+        this.network.resumeTransfers(this.id)
+
+        this.network.shareRoster()
+
+    }
+
+    /**
+     * Validate the credentials sent by a client in answer to its challenge
+     */
+    async #authenticate(credentials: any): Promise<void> {
+
+        if (this.#authenticating) return
+
+        this.#authenticating = true
+
+        let result: boolean | string
+
+        try {
+
+            result = await this.network.authenticate!(this.id, credentials, this.challenge!)
+
+        } catch (reason) {
+
+            result = typeof reason === 'string' ? reason : false
+
+        }
+
+        clearTimeout(this.#authenticationTimeoutID!)
+
+        this.challenge = null
+        this.#authenticating = false
+
+        // The client may have left while its credentials were checked
+        if (this.network.connections.get(this.id) !== this) return
+
+        if (result === true) await this.#accept()
+        else this.cleanclose(typeof result === 'string' ? result : undefined, CloseCode.AUTHENTICATION_FAILED)
+
+    }
+
+    async #close(): Promise<void> {
+
+        // console.log(`connection closed with ${this.id}`)
+
+        // The connection is still registered if it has not been closed through cleanclose
+        let lost = this.network.connections.get(this.id) === this
+
+        if (lost) this.network.suspendConnection(this)
+
+        let close: CloseInfo = this.closeInfo ?? { code: CloseCode.LOST, reason: closeReasons[CloseCode.LOST], initiatedBy: null }
+
+        this.network.recorder?.record('close', this.id, close)
+
+        if (this.suspended) {
+
+            // Reported once the session expires
+
+        } else if (this.mesh) {
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.MESH_P2P_CLOSED))
+                await callback.call(this, close)
+
+        } else if (this.receiver) {
+
+            if (this.network.sessions.get(this.id)?.connection === this)
+                this.network.sessions.delete(this.id)
+
+            for (let room of this.network.rooms.values())
+                await room.leave(this.id)
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_CLOSED))
+                await callback.call(this, close)
+
+        } else {
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_CLOSED))
+                await callback.call(this, close)
+
+        }
+
+        this.clean()
+
+        if (lost && !this.suspended && !this.receiver && this.network.hostMigration)
+            await this.network.migrateHost(this.id)
+
+    }
+
+    /**
+     * Send any data to the connected peer in the wire format agreed with it.
+     * Without a delivery class, the data relies on the main channel, which is reliable and ordered.
+     */
+    send(data: any, delivery?: DeliveryClass): void {
+
+        this.network.recorder?.record('out', this.id, data)
+
+        if (!delivery) {
+
+            this.#transmit(this.codec.encode(data))
+            return
+
+        }
+
+        // The compact form is left out as its tables rely on the order of the messages
+        this.#transmit(this.delivery.wrap(data, delivery), delivery !== 'reliable-ordered')
+
+        if (delivery !== 'unreliable-sequenced')
+            this.#retransmitTimeoutID ??= setTimeout(() => this.#retransmit(), this.#retransmitDelay())
+
+    }
+
+    /**
+     * Send an encoded message, on the lossy channel if asked and open
+     */
+    #transmit(message: any, lossy: boolean = false): void {
+
+        let connection = lossy && this.#lossyOpen ? this.lossyConnection! : this.connection
+        let compress = this.codec.deflate && typeof message === 'object' && message !== null &&
+            sizeOf(message) > this.network.compressionThreshold
+
+        if (!compress && !this.#outbound) {
+
+            connection.send(message)
+            return
+
+        }
+
+        let binary = connection.serialization === 'binary'
+
+        let outbound: Promise<void> = (this.#outbound ?? Promise.resolve())
+            .then(async () => connection.send(compress ? await this.codec.compress(message, binary) : message))
+            .catch(() => { })
+            .finally(() => { if (this.#outbound === outbound) this.#outbound = null })
+
+        this.#outbound = outbound
+
+    }
+
+    /**
+     * Time after which an unacknowledged message is considered lost
+     */
+    #retransmitDelay(): number {
+
+        return Math.max(this.network.retransmitDelay, (this.rtt ?? 0) + 4 * this.jitter)
+
+    }
+
+    /**
+     * Send again the messages not acknowledged in time
+     */
+    #retransmit(): void {
+
+        this.#retransmitTimeoutID = null
+
+        if (this.closeInfo || this.network.connections.get(this.id) !== this) return
+
+        let delay = this.#retransmitDelay()
+
+        for (let packet of this.delivery.due(delay))
+            this.#transmit(packet, packet.c !== 'o')
+
+        if (this.delivery.unacknowledged.size)
+            this.#retransmitTimeoutID = setTimeout(() => this.#retransmit(), delay)
+
+    }
+
+    /**
+     * Handle the packets of the delivery classes, the messages they carry are then handled as any other
+     */
+    #deliver(data: any): void {
+
+        this.timer.reset()
+
+        let error = this.network.validateMessage(data)
+
+        if (error !== null) {
+
+            this.#protocolError(error, data)
+            return
+
+        }
+
+        if (data.evt === 'Network$ACK') {
+
+            this.delivery.acknowledge(data)
+            return
+
+        }
+
+        for (let message of this.delivery.receive(data))
+            this.#data(message)
+
+        if (data.c !== 's')
+            this.#ackTimeoutID ??= setTimeout(() => {
+
+                this.#ackTimeoutID = null
+
+                let ack = this.delivery.takeAcks()
+                if (ack) this.#transmit(ack, true)
+
+            }, this.network.ackDelay)
+
+    }
+
+    /**
+     * Switch to the wire formats agreed with the peer
+     */
+    useCodecs(codecs: string[]): void {
+
+        this.codec.compact = codecs.includes('compact')
+        this.codec.deflate = codecs.includes('deflate')
+
+    }
+
+    /**
+     * Decode the data received before handling it, keeping the order of the messages while compressed ones are inflated
+     */
+    #receive(data: any): void {
+
+        // Measured as received, compressed and in the compact format if they are
+        let size = sizeOf(data)
+
+        if (data?.evt !== 'Network$DEFLATE' && !this.#inbound) {
+
+            this.#decode(data, size)
+            return
+
+        }
+
+        let inbound: Promise<void> = (this.#inbound ?? Promise.resolve())
+            .then(async () => this.#decode(data?.evt === 'Network$DEFLATE' ? await this.codec.decompress(data) : data, size))
+            .catch(error => this.#protocolError(typeof error === 'string' ? error : 'Invalid compressed message', data))
+            .finally(() => { if (this.#inbound === inbound) this.#inbound = null })
+
+        this.#inbound = inbound
+
+    }
+
+    #decode(data: any, size: number): void {
+
+        let message
+
+        try { message = this.codec.decode(data) }
+        catch (error) {
+
+            this.timer.reset()
+            this.#protocolError(typeof error === 'string' ? error : 'Invalid message', data)
+            return
+
+        }
+
+        if (message?.evt === 'Network$PACKET' || message?.evt === 'Network$ACK') this.#deliver(message)
+        else this.#data(message, size)
+
+    }
+
+    async #data(data: any, size: number = sizeOf(data)): Promise<void> {
+
+        this.timer.reset()
+        this.network.recorder?.record('in', this.id, data)
+
+        let evt = typeof data === 'string' ? data : data?.evt
+        let cost = {
+            messages: 1,
+            bytes: size,
+            syncWrites: evt === 'Network$CHANGESYNC' ? 1 : evt === 'Network$BATCHSYNC' && Array.isArray(data.changes) ? data.changes.length : 0
+        }
+
+        this.received.messages++
+        this.received.bytes += cost.bytes
+        this.received.syncWrites += cost.syncWrites
+
+        // Heartbeats keep the connection alive
+        if (evt === 'Network$IAMHERE' || evt === 'Network$CLOSE')
+            return this.#handle(data)
+
+        // Messages wait behind the queued ones to keep their order
+        if (!this.#queue.length && this.#spend(cost))
+            return this.#handle(data)
+
+        this.rateLimited++
+
+        for (let callback of this.network.getCallbacks(NetworkEvent.PEER_RATE_LIMITED))
+            await callback.call(this, data)
+
+        if (this.network.ratePolicy === 'queue' && this.#queue.length < this.network.rateQueueLimit) {
+
+            this.#queue.push({ data, cost })
+            this.#drainTimeoutID ??= setTimeout(() => this.#drain(), 50)
+
+        } else if (this.network.ratePolicy === 'ban' && this.receiver) {
+
+            if (!this.closeInfo) this.network.ban(this.id, 'Rate limit exceeded')
+
+        }
+
+        else await this.#drop(data)
+
+    }
+
+    /**
+     * Take the cost of a message from the budgets of the connection, returns false if any of them does not allow it
+     */
+    #spend(cost: { messages: number, bytes: number, syncWrites: number }): boolean {
+
+        let limits = this.network.rateLimits
+        let now = Date.now()
+        let elapsed = (now - this.#allowanceTime) / 1000
+
+        this.#allowanceTime = now
+
+        let keys = (['messages', 'bytes', 'syncWrites'] as const).filter(key => limits[key])
+
+        // Budgets refill continuously and hold up to one second worth of messages
+        for (let key of keys)
+            this.#allowance[key] = Math.min(limits[key]!, this.#allowance[key] + elapsed * limits[key]!)
+
+        // A single message larger than a whole budget is let through once the budget is full
+        if (keys.some(key => this.#allowance[key] < Math.min(cost[key], limits[key]!))) return false
+
+        for (let key of keys)
+            this.#allowance[key] -= cost[key]
+
+        return true
+
+    }
+
+    /**
+     * Handle the queued messages the budgets allow
+     */
+    async #drain(): Promise<void> {
+
+        this.#drainTimeoutID = null
+
+        while (this.#queue.length && this.#spend(this.#queue[0].cost))
+            await this.#handle(this.#queue.shift()!.data)
+
+        if (this.#queue.length)
+            this.#drainTimeoutID ??= setTimeout(() => this.#drain(), 50)
+
+    }
+
+    /**
+     * Drop a message over budget, changes to a synced object are rejected so that the client rolls them back
+     *    and incoming transfers are cancelled
+     */
+    async #drop(data: any): Promise<void> {
+
+        this.dropped++
+
+        let transfer = data?.evt === 'Network$CHUNK' ? this.network.transfers.get(data.id) : undefined
+
+        // The transfer would stall without the chunk, so it is cancelled right away
+        if (transfer?.peer === this.id && !transfer.outgoing) {
+
+            await this.network.cancelTransfer(transfer.id, 'rate limited')
+            return
+
+        }
+
+        if (!this.receiver || this.mesh || !this.network.isHosting || this.network.validateMessage(data) !== null || data.seq === undefined) return
+
+        if (data.evt === 'Network$CHANGESYNC')
+            await this.#rejectChanges(data, [{ path: data.path, value: data.value, operation: data.operation ?? { type: 'set' } }])
+
+        else if (data.evt === 'Network$BATCHSYNC')
+            await this.#rejectChanges(data, data.changes)
+
+    }
+
+    async #handle(data: any): Promise<void> {
+
+        let error = this.network.validateMessage(data)
+
+        if (error !== null) {
+
+            await this.#protocolError(error, data)
+            return
+
+        }
+
+        // Nothing but its credentials is accepted from a peer which has not authenticated yet
+        if (this.challenge !== null && data?.evt !== 'Network$CLOSE' && data?.evt !== 'Network$IAMHERE' && data !== 'Network$CLOSE') {
+
+            if (data?.evt === 'Network$AUTH') await this.#authenticate(data.credentials)
+            return
+
+        }
+
+        if ((typeof data === 'object' && data.evt === 'Network$CLOSE') || data === 'Network$CLOSE') {
+
+            // Both sides closed the connection at the same time
+            if (this.closeInfo) return
+
+            // Older peers close with the plain string, which carries neither code nor reason
+            let close: CloseInfo = this.closeInfo = typeof data === 'string' ?
+                { code: CloseCode.NORMAL, reason: '', initiatedBy: this.id } :
+                { code: data.code, reason: data.reason, initiatedBy: this.id }
+
+            if (!this.receiver && !this.mesh && !this.confirmed && !this.resuming)
+                for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_REJECTED))
+                    await callback.call(this, close.reason, close.code)
+
+            this.clean()
+            this.connection.close()
+
+            // The host does not know the session anymore
+            if (this.resuming) await this.network.expireSession(close)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$IAMHERE') {
+
+            this.#timedHeartbeats = true
+            this.#heartbeat(data)
+
+        }
+
+        // Heartbeat of an older peer, which only keeps the connection alive
+        else if (data === 'Network$IAMHERE') { }
+
+        else if (data === 'Network$CONFIRM' && !this.receiver && this.mesh) {
+
+            this.confirmed = true
+
+            this.sendSyncedObjects()
+            this.network.resumeTransfers(this.id)
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.MESH_P2P_OPENED))
+                await callback.call(this)
+
+        }
+
+        else if (data === 'Network$CONFIRM' && !this.receiver) {
+
+            this.confirmed = true
+
+            this.network.resumeTransfers(this.id)
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION))
+                await callback.call(this)
+
+            if (this.network.migratingTo === this.id) {
+
+                this.network.migratingTo = null
+
+                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_MIGRATED))
+                    await callback.call(this, this.id)
+
+            }
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$CHALLENGE' && !this.receiver) {
+
+            let credentials = typeof this.network.credentials === 'function' ?
+                await this.network.credentials(data.challenge, this.id) :
+                this.network.credentials
+
+            this.send({ evt: 'Network$AUTH', credentials })
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$ROOM') {
+
+            if (this.receiver && !this.mesh) {
+
+                let room = this.network.rooms.get(data.room)
+
+                if (!room?.has(this.id)) return
+
+                room.sendToAllExcept(this.id, data.data)
+
+                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_RECEIVED_DATA))
+                    await callback.call(this, data.data, data.room)
+
+            } else if (this.network.joinedRooms.has(data.room))
+                for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_RECEIVED_DATA))
+                    await callback.call(this, data.data, data.room)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$JOIN' && this.receiver) {
+
+            let room = this.network.rooms.get(data.room)
+
+            if (room?.joinable) await room.join(this.id)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$LEAVE' && this.receiver)
+            await this.network.rooms.get(data.room)?.leave(this.id)
+
+        else if (typeof data === 'object' && data.evt === 'Network$JOINED' && !this.receiver) {
+
+            this.network.joinedRooms.add(data.room)
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_ROOM_JOINED))
+                await callback.call(this, data.room)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$LEFT' && !this.receiver) {
+
+            if (!this.network.joinedRooms.delete(data.room)) return
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_ROOM_LEFT))
+                await callback.call(this, data.room)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$SESSION') {
+
+            if (!this.receiver)
+                this.network.session = { host: this.id, token: data.token, grace: data.grace, connection: this, outbox: [], timeoutID: null }
+
+        }
+
+        else if (data === 'Network$RESUMED' && this.resuming) {
+
+            let session = this.network.session
+
+            this.resuming = this.suspended = false
+            this.confirmed = true
+
+            if (session) {
+
+                if (session.timeoutID) clearTimeout(session.timeoutID)
+
+                session.timeoutID = null
+                session.connection = this
+
+            }
+
+            this.network.resendPending()
+            this.network.resumeTransfers(this.id)
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_RESUMED))
+                await callback.call(this)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$ROSTER') {
+
+            if (this.receiver) return
+
+            this.network.roster = data.roster
+            this.network.rosterOptions.clear()
+
+            for (let [uuid, options] of Object.entries<any>(data.options ?? {})) {
+
+                if (typeof options !== 'object' || options === null) continue
+
+                let { writable, owner, audience } = options
+
+                this.network.rosterOptions.set(uuid, {
+                    writable: ['all', 'host', 'owner'].includes(writable) ? writable : 'host',
+                    owner: typeof owner === 'string' ? owner : undefined,
+                    audience: Array.isArray(audience) ? audience.filter(id => typeof id === 'string') : undefined
+                })
+
+            }
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$PEERS') {
+
+            if (!this.mesh || !this.network.isMesh) return
+
+            for (let id of data.peers)
+                if (id !== this.network.id && !this.network.connections.has(id))
+                    this.network.connectTo(id)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$NEWSYNC') {
+
+            // Only the host decides which objects are synced
+            if (this.receiver && !this.mesh) {
+
+                await this.#protocolError('Only the host can sync objects', data)
+                return
+
+            }
+
+            // The object is only encoded as a string by peers not using the compact format
+            let objstr = typeof data.object === 'string' ? data.object : JSON.stringify(data.object)
+
+            let stamps: SyncStamp[] = (data.stamps ?? []).map((stamp: SyncStamp) => ({ path: stamp.path.map(String), clock: stamp.clock, peer: stamp.peer }))
+
+            let state: SyncState = {
+                version: data.version ?? 0, confirmed: JSON.parse(objstr), pending: [], seq: 0, pathVersions: new Map(), history: [],
+                clock: Math.max(0, ...stamps.map(stamp => stamp.clock)), stamps: new Map(stamps.map(stamp => [JSON.stringify(stamp.path), stamp]))
+            }
+
+            if (this.network.syncedObjects.has(data.uuid)) {
+
+                // Already known after a host migration, the new host's version prevails
+                if (!this.mesh && !this.receiver) {
+
+                    this.network.syncStates.set(data.uuid, state)
+                    this.network.rebase(data.uuid)
+
+                    await this.network.notifyWatchers(data.uuid, [[]])
+
+                }
+
+                // Known by both members of a mesh, the changes of both are merged in the order of their stamps
+                else if (this.mesh) {
+
+                    let incoming = JSON.parse(objstr)
+
+                    let merged = stamps.sort((a, b) => compareStamps(a, b) || a.path.length - b.path.length).filter(stamp => this.network.mergeStamped(data.uuid, stamp, valueAt(incoming, stamp.path)))
+
+                    if (merged.length) await this.network.notifyWatchers(data.uuid, merged.map(({ path }) => path))
+
+                }
+
+                return
+
+            }
+
+            let proxy = proxyfy(JSON.parse(objstr), async (root, path, value, operation, previous) => {
+
+                this.network.shareChange(data.uuid, path, value, operation, previous)
+
+            })
+
+            this.network.syncedObjects.set(data.uuid, proxy)
+            this.network.syncStates.set(data.uuid, state)
+
+            await this.network.notifyWatchers(data.uuid, [[]])
+
+            for (let callback of this.network.getCallbacks(this.mesh ? NetworkEvent.MESH_P2P_SYNCED_DATA : NetworkEvent.CLIENT_P2P_SYNCED_DATA))
+                await callback.call(this, data.uuid, proxy)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$CHANGESYNC')
+            await this.#receiveChanges(data, [{ path: data.path, value: data.value, operation: data.operation ?? { type: 'set' } }])
+
+        else if (typeof data === 'object' && data.evt === 'Network$BATCHSYNC')
+            await this.#receiveChanges(data, data.changes)
+
+        else if (typeof data === 'object' && data.evt === 'Network$REJECTSYNC') {
+
+            let state = this.network.syncStates.get(data.uuid)
+
+            if (!state || this.receiver) return
+
+            state.pending = state.pending.filter(({ seq }) => seq !== data.ack)
+
+            this.network.rebase(data.uuid)
+
+            await this.network.notifyWatchers(data.uuid, [[]])
+
+            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_SYNC_REJECTED))
+                await callback.call(this, data.uuid)
+
+        }
+
+        else if (typeof data === 'object' && data.evt === 'Network$UNSYNC') {
+
+            if (this.receiver && !this.mesh) {
+
+                await this.#protocolError('Only the host can unsync objects', data)
+                return
+
+            }
+
+            if (!this.network.syncedObjects.has(data.uuid)) return
+
+            let unproxyfiedObject = unproxyfy(this.network.syncedObjects.get(data.uuid))
+
+            this.network.syncedObjects.delete(data.uuid)
+            this.network.syncStates.delete(data.uuid)
+
+            await this.network.notifyWatchers(data.uuid, [[]])
+
+            for (let callback of this.network.getCallbacks(this.mesh ? NetworkEvent.MESH_P2P_UNSYNCED_DATA : NetworkEvent.CLIENT_P2P_UNSYNCED_DATA))
+                await callback.call(this, unproxyfiedObject)
+
+        }
+
+        else if (typeof data === 'object' && transferEvents.has(data.evt))
+            await this.network.receiveTransfer(this, data)
+
+        else if (typeof data === 'object' && data.evt === 'Network$CALL') {
+
+            let procedure = this.network.procedures.get(data.name)
+
+            try {
+
+                if (!procedure) throw `Unknown procedure "${data.name}"`
 
-    }
+                let result = await procedure.call(this, ...data.args)
 
-    /**
-     * Disable hosting, if any connection is opened at time, 
-     * uses abortIfConnections to determined if those connections should be closed and the operation should proceed.
-     * Returns the new state of isHosting.
-     */
-    disableHosting(abortIfConnections: boolean = false): boolean {
+                this.send({ evt: 'Network$RESULT', id: data.id, result })
 
-        if (this.isHosting)
-            if (!this.hasConnections() || !abortIfConnections) {
+            } catch (error) {
 
-                this.closeAllConnections()
-                this.isHosting = false
+                this.send({ evt: 'Network$RESULT', id: data.id, error: error instanceof Error ? error.message : error })
 
             }
 
-        return this.isHosting
+        }
 
-    }
+        else if (typeof data === 'object' && data.evt === 'Network$HANGUP')
+            await this.mediaCalls.get(data.id)?.end(false)
 
-    /**
-     * Tries to connect to a given peer.
-     * will throw an error if not connected to the signaling server or currently hosting.
-     * Will automaticaly store the connectino into this.connections.
-     * Will throw an error if you are already connected to a peer.
-     */
-    connectTo(id: string): NetworkConnection {
+        else if (typeof data === 'object' && data.evt === 'Network$CODECS') {
 
-        if (id === this.id) throw `You can't connect to yourself`
-        if (!this.peer) throw `You can't connect to somebody without starting the Network and being connected to the signaling server`
-        if (this.isHosting) throw `You can't connect to somebody while hosting`
-        if (this.hasConnections()) throw `You can only connect to one peer at a time`
+            if (!this.receiver) this.useCodecs(data.codecs)
 
-        let networkConnection = new NetworkConnection(this.peer.connect(id, { serialization: 'json' }), false, this)
+        }
 
-        this.connections.set(networkConnection.id, networkConnection)
+        else if (typeof data === 'object' && (data.evt === 'Network$INPUT' || data.evt === 'Network$SNAPSHOT'))
+            this.network.simulation?.receive(this, data)
 
-        this.syncedObjects.clear()
+        else if (typeof data === 'object' && data.evt === 'Network$MESSAGE') {
 
-        return networkConnection
+            for (let handler of this.network.messageTypes.get(data.type)!.handlers)
+                await handler.call(this, data.payload)
 
-    }
+        }
 
-    /**
-     * Send any data to a given connected peer if it exists
-     * 
-     * @param {string} id 
-     * @param {any} data 
-     */
-    sendTo(id: string, data: any): void {
+        else if (typeof data === 'object' && data.evt === 'Network$RESULT') {
 
-        this.connections.get(id)?.connection.send(data)
+            let pendingCall = this.pendingCalls.get(data.id)
 
-    }
+            if (!pendingCall) return
 
-    /**
-     * Send any data to every connected peer
-     * 
-     * @param {any} data 
-     */
-    sendToAll(data: any): void {
+            this.pendingCalls.delete(data.id)
+            clearTimeout(pendingCall.timeoutID)
 
-        for (let connection of this.connections)
-            connection[1].connection.send(data)
+            if ('error' in data) pendingCall.reject(data.error)
+            else pendingCall.resolve(data.result)
 
-    }
+        }
 
-    /**
-     * Send any data to every connected peer except a given one
-     * 
-     * @param {string} id 
-     * @param {any} data 
-     */
-    sendToAllExcept(id: string, data: any): void {
+        else {
 
-        for (let connection of this.connections) if (connection[0] !== id)
-            connection[1].connection.send(data)
+            if (this.mesh)
+                for (let callback of this.network.getCallbacks(NetworkEvent.MESH_P2P_RECEIVED_DATA))
+                    await callback.call(this, data)
 
-    }
+            else if (this.receiver)
+                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_RECEIVED_DATA))
+                    await callback.call(this, data)
+
+            else
+                for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_RECEIVED_DATA))
+                    await callback.call(this, data)
+        }
 
-    /**
-     * Close the connection to a given peer if it exists
-     * 
-     * @param {string} id 
-     */
-    closeConnection(id: string): void {
 
-        this.connections.get(id)?.cleanclose()
 
     }
 
+    get id() { return this.connection.peer }
+
     /**
-     * Close the connection with all connected peer
+     * Resume the session of a client that reconnected within the grace period.
+     * Synced objects are caught up using their history when possible, or sent again otherwise,
+     *    then the application data sent meanwhile is delivered.
      */
-    closeAllConnections(): void {
+    async #resume(session: NetworkSession): Promise<void> {
 
-        for (let connection of this.connections)
-            connection[1].cleanclose()
+        clearTimeout(session.timeoutID!)
 
-    }
+        session.timeoutID = null
+        session.connection = this
 
-    /**
-     * Add a callback for a given event
-     * 
-     * @param {NetworkEvent} event 
-     * @param callback 
-     */
-    on(event: NetworkEvent.PEER_OPENED, callback: (id: string) => Promise<void>): void;
-    on(event: NetworkEvent.UNAVAILABLE_ID, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.INVALID_ID, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.PEER_CONNECTION, callback: (networkConnection: NetworkConnection) => Promise<void>): void;
-    on(event: NetworkEvent.PEER_CLOSED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.PEER_DISCONNECT, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.PEER_ERROR, callback: (error: Error) => Promise<void>): void;
+        this.confirmed = true
 
-    on(event: NetworkEvent.HOST_P2P_OPENED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_CLOSED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any) => Promise<void>): void;
-    on(event: NetworkEvent.HOST_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+        let versions: { [uuid: string]: number } = this.connection.metadata.versions ?? {}
 
-    on(event: NetworkEvent.CLIENT_P2P_OPENED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_CLOSED, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_RECEIVED_DATA, callback: (data: any) => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION, callback: () => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA, callback: (uuid: string, proxiedObject: any) => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, callback: (uuid: string, path: (string | symbol)[], value: any) => Promise<void>): void;
-    on(event: NetworkEvent.CLIENT_P2P_UNSYNCED_DATA, callback: (unproxyfiedObject: any) => Promise<void>): void;
+        for (let uuid of Object.keys(versions))
+            if (!this.network.syncedObjects.has(uuid) || !this.network.canSee(uuid, this.id))
+                this.send({ evt: 'Network$UNSYNC', uuid })
 
-    on(event: NetworkEvent, callback: (...args: any[]) => Promise<void>): void {
+        for (let uuid of this.network.syncedObjects.keys()) {
 
-        if (!this.callbacks.has(event))
-            this.callbacks.set(event, [])
+            if (!this.network.canSee(uuid, this.id)) continue
 
-        this.callbacks.get(event)?.push(callback)
+            let state = this.network.syncStates.get(uuid)
+            let version = versions[uuid]
 
-    }
+            this.visibleObjects.add(uuid)
 
-    /**
-     * Returns all callbacks associated with the given event
-     */
-    getCallbacks(event: NetworkEvent): ((data: any) => Promise<void>)[] {
-        return this.callbacks.get(event) ?? []
-    }
+            if (version !== undefined) this.syncBases.set(uuid, version)
 
-    /**
-     * Puts a given id into the whitelist
-     */
-    allow(id: string): void {
+            if (version === undefined || !state) this.showObject(uuid)
 
-        this.whitelist.push(id)
+            else if (version !== state.version) {
 
-    }
+                let missed = state.history.filter(message => message.version > version)
 
-    /**
-     * Removes a given id from the whitelist, closing the connection if it exists
-     */
-    deny(id: string): void {
+                if (missed[0]?.version === version + 1)
+                    for (let message of missed) this.send(message)
+                else
+                    this.showObject(uuid)
 
-        let index = this.whitelist.indexOf(id)
+            }
 
-        if (index !== -1)
-            this.whitelist.splice(index, 1)
+        }
 
-        if (this.useWhitelist && this.isHosting)
-            this.connections.get(id)?.cleanclose()
+        for (let data of session.outbox)
+            this.send(data)
 
-    }
+        session.outbox = []
 
-    /**
-     * Puts a given id into the blacklist, closing the connection if it exists
-     */
-    ban(id: string): void {
+        this.send('Network$RESUMED')
 
-        this.blacklist.push(id)
+        this.network.resumeTransfers(this.id)
+        this.network.shareRoster()
 
-        this.connections.get(id)?.cleanclose()
+        for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_RESUMED))
+            await callback.call(this)
 
     }
 
     /**
-     * Removes a given id from the blacklist
+     * Report an invalid message, the peer is banned or disconnected once it sent too many of them
      */
-    unban(id: string): void {
-
-        let index = this.blacklist.indexOf(id)
-
-        if (index !== -1)
-            this.blacklist.splice(index, 1)
+    async #protocolError(error: string, data: any): Promise<void> {
 
-    }
+        this.protocolErrors++
 
-    async syncObject(object: object): Promise<void> {
+        for (let callback of this.network.getCallbacks(NetworkEvent.PEER_PROTOCOL_ERROR))
+            await callback.call(this, error, data)
 
-        if (!this.isHosting && this.hasConnections()) throw 'Cannot sync object when not hosting and connected'
+        if (!this.network.protocolErrorLimit || this.protocolErrors < this.network.protocolErrorLimit) return
 
-        let uuid: string
-        do { uuid = crypto.randomUUID() } while (this.syncedObjects.has(uuid));
+        if (this.receiver) this.network.ban(this.id, closeReasons[CloseCode.PROTOCOL_ERROR])
+        else this.cleanclose(undefined, CloseCode.PROTOCOL_ERROR)
 
-        let objstr = JSON.stringify(object)
+    }
 
-        let proxy = proxyfy(JSON.parse(objstr), (root, path, value) => {
+    /**
+     * Apply changes received for a synced object.
+     * The host checks the permissions, numbers the changes and sends them to every client, author included.
+     * Clients apply them on the state confirmed by the host, replaying their own unacknowledged changes on top.
+     */
+    async #receiveChanges(data: any, changes: SyncChange[]): Promise<void> {
 
-            this.sendToAll({ evt: 'Network$CHANGESYNC', uuid, path, value })
+        let proxy = this.network.syncedObjects.get(data.uuid)
 
-        })
+        if (!proxy) return
 
-        this.syncedObjects.set(uuid, proxy)
+        let object = unproxyfy(proxy)
+        let state = this.network.syncStates.get(data.uuid)
+        let batch = data.evt === 'Network$BATCHSYNC'
 
-        this.sendToAll({ evt: 'Network$NEWSYNC', uuid, object: objstr })
+        if (this.mesh) {
 
-        for (let callback of this.getCallbacks(NetworkEvent.HOST_P2P_SYNCED_DATA))
-            await callback.call(this, uuid, proxy)
+            // Changes of peers which do not stamp them are applied in the order they arrive
+            if (data.clock === undefined) {
 
-    }
+                if (applyChanges(object, changes))
+                    await this.#changed(NetworkEvent.MESH_P2P_SYNCED_DATA_CHANGED, NetworkEvent.MESH_P2P_SYNCED_DATA_TRANSACTION, data.uuid, changes, batch)
 
-    async unsync(uuid: string) {
+                return
 
-        if (!this.isHosting && this.hasConnections()) throw 'Cannot unsync object when not hosting and connected'
+            }
 
-        if (!this.syncedObjects.has(uuid)) return
+            let applied = changes.filter(({ path, value, operation }) =>
+                (operation.type === 'set' || operation.type === 'delete') &&
+                this.network.mergeStamped(data.uuid, { path: path.map(String), clock: data.clock, peer: this.id }, operation.type === 'set' ? value : undefined))
 
-        let unproxyfiedObject = unproxyfy(this.syncedObjects.get(uuid))
+            if (applied.length)
+                await this.#changed(NetworkEvent.MESH_P2P_SYNCED_DATA_CHANGED, NetworkEvent.MESH_P2P_SYNCED_DATA_TRANSACTION, data.uuid, applied, batch)
 
-        this.syncedObjects.delete(uuid)
+            return
 
-        this.sendToAll({ evt: 'Network$UNSYNC', uuid })
+        }
 
-        for (let callback of this.getCallbacks(NetworkEvent.HOST_P2P_UNSYNCED_DATA))
-            await callback.call(this, unproxyfiedObject)
+        if (this.receiver) {
 
-    }
+            if (!this.network.canSee(data.uuid, this.id) || !changes.every(change => this.network.canWrite(data.uuid, this.id, change))) {
 
-    async unsyncAll() {
+                await this.#rejectChanges(data, changes)
+                return
 
-        for (let uuid of [...this.syncedObjects.keys()])
-            await this.unsync(uuid)
+            }
 
-    }
+            // Changes are sent in order, the later ones of the peer are based on this version or a newer one
+            if (data.base !== undefined) this.syncBases.set(data.uuid, Math.max(this.syncBases.get(data.uuid) ?? 0, data.base))
 
-}
+            let merged = this.network.mergeChanges(data.uuid, this.id, data.base, changes)
 
-export class NetworkConnection {
+            if (!applyChanges(object, merged)) {
 
-    connection: DataConnection
-    timer: Timer = new Timer()
-    intervalID: number
-    receiver: boolean
-    network: Network
+                await this.#rejectChanges(data, changes)
+                return
 
-    constructor(connection: any, receiver: boolean, network: Network) {
+            }
 
-        this.connection = connection
-        this.receiver = receiver
-        this.network = network
+            let message: any = batch ?
+                { evt: 'Network$BATCHSYNC', uuid: data.uuid, changes: merged } :
+                { evt: 'Network$CHANGESYNC', uuid: data.uuid, ...merged[0] }
 
-        this.connection
+            if (state) {
 
-        this.intervalID = window.setInterval(this.#timeout.bind(this), 1000)
+                message.version = this.network.recordVersion(state, merged)
+                message.origin = this.id
 
-        this.connection.on('open', this.#open.bind(this))
-        this.connection.on('close', this.#close.bind(this))
-        this.connection.on('data', this.#data.bind(this))
+                this.network.prunePathVersions(data.uuid)
+                message.ack = data.seq
+                message.merged = merged.some((change, index) => change !== changes[index])
 
-    }
+                this.network.recordHistory(state, message)
 
-    #timeout(): void {
+                this.network.sendToAudience(data.uuid, message)
 
-        if (this.timer.greaterThan(6000)) {
+            } else
+                this.network.sendToAudience(data.uuid, message, this.id)
 
-            this.cleanclose()
+            await this.#changed(NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED, NetworkEvent.HOST_P2P_SYNCED_DATA_TRANSACTION, data.uuid, merged, batch)
 
-            // console.log(`Connection with "${this.id}" timed out`)
+            return
 
-        } else
-            this.connection.send('Network$IAMHERE')
+        }
 
-    }
+        if (!state || data.version === undefined) {
 
-    async #open(): Promise<void> {
+            if (applyChanges(object, changes))
+                await this.#changed(NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, NetworkEvent.CLIENT_P2P_SYNCED_DATA_TRANSACTION, data.uuid, changes, batch)
 
-        // console.log(`connection opened with ${this.id}`)
+            return
 
-        if (this.receiver) {
+        }
 
-            if (!this.network.isHosting || !this.network.acceptConnections ||
-                this.network.isFull() ||
-                this.network.blacklist.includes(this.id) ||
-                this.network.useWhitelist && !this.network.whitelist.includes(this.id)) {
+        applyChanges(state.confirmed, changes)
+        state.version = data.version
 
-                this.cleanclose()
+        let own = data.origin === this.network.id
 
-            } else {
+        if (own) state.pending = state.pending.filter(({ seq }) => seq > data.ack)
 
-                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_OPENED))
-                    await callback.call(this)
+        // Own changes have already been applied locally, unless the host merged them
+        if (own && !data.merged) return
 
-                this.connection.send('Network$CONFIRM')
+        if (own || state.pending.length) this.network.rebase(data.uuid)
+        else applyChanges(object, changes)
 
-                for (let [uuid, proxy] of this.network.syncedObjects.entries()) {
+        await this.#changed(NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED, NetworkEvent.CLIENT_P2P_SYNCED_DATA_TRANSACTION, data.uuid, changes, batch)
 
-                    let objstr = JSON.stringify(unproxyfy(proxy))
+    }
 
-                    this.network.sendTo(this.id, { evt: 'Network$NEWSYNC', uuid, object: objstr })
+    /**
+     * Call the callbacks of a single change event, or of a transaction event for a batch of changes
+     */
+    async #changed(changeEvent: NetworkEvent, transactionEvent: NetworkEvent, uuid: string, changes: SyncChange[], batch: boolean): Promise<void> {
 
-                }
+        await this.network.notifyWatchers(uuid, changes.map(({ path }) => path))
 
-            }
+        if (batch)
+            for (let callback of this.network.getCallbacks(transactionEvent))
+                await callback.call(this, uuid, changes)
 
+        else {
 
-        } else {
+            let [{ path, value, operation }] = changes
 
-            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_OPENED))
-                await callback.call(this)
+            for (let callback of this.network.getCallbacks(changeEvent))
+                await callback.call(this, uuid, path, value, operation)
 
         }
 
     }
 
-    async #close(): Promise<void> {
-
-        // console.log(`connection closed with ${this.id}`)
-
-        if (this.receiver) {
+    /**
+     * Refuse changes made by the connected peer, which drops them and rolls back to the state confirmed by the host
+     */
+    async #rejectChanges(data: any, changes: SyncChange[]): Promise<void> {
 
-            for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_CLOSED))
-                await callback.call(this)
+        this.send({ evt: 'Network$REJECTSYNC', uuid: data.uuid, ack: data.seq })
 
-        } else {
+        for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_SYNC_REJECTED))
+            await callback.call(this, data.uuid, changes)
 
-            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_CLOSED))
-                await callback.call(this)
+    }
 
-        }
+    /**
+     * Send every synced object of the network to the connected peer
+     */
+    sendSyncedObjects(): void {
 
-        this.clean()
+        for (let uuid of this.network.syncedObjects.keys())
+            if (this.network.canSee(uuid, this.id)) this.showObject(uuid)
 
     }
 
-    async #data(data: any): Promise<void> {
-
-        this.timer.reset()
+    /**
+     * Send a synced object to the connected peer
+     */
+    showObject(uuid: string): void {
 
-        if (data === 'Network$CLOSE')
-            this.cleanclose()
+        let objstr = JSON.stringify(unproxyfy(this.network.syncedObjects.get(uuid)))
+        let state = this.network.syncStates.get(uuid)
 
-        else if (data === 'Network$IAMHERE')
-            return
+        // Members of a mesh also need the stamps to merge the object with their own
+        let stamps = this.mesh && state ? [...state.stamps.values()] : undefined
 
-        else if (data === 'Network$CONFIRM' && !this.receiver)
-            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_CONFIRMED_CONNECTION))
-                await callback.call(this)
+        this.send({ evt: 'Network$NEWSYNC', uuid, object: objstr, version: state?.version, stamps })
 
-        else if (typeof data === 'object' && data.evt === 'Network$NEWSYNC') {
+        this.visibleObjects.add(uuid)
 
-            if (this.network.syncedObjects.has(data.uuid)) return
+        if (state) this.syncBases.set(uuid, state.version)
 
-            let proxy = proxyfy(JSON.parse(data.object), async (root, path, value) => {
+    }
 
-                this.network.sendToAll({ evt: 'Network$CHANGESYNC', uuid: data.uuid, path, value })
+    /**
+     * Remove a synced object from the connected peer
+     */
+    hideObject(uuid: string): void {
 
-            })
+        this.send({ evt: 'Network$UNSYNC', uuid })
 
-            this.network.syncedObjects.set(data.uuid, proxy)
+        this.visibleObjects.delete(uuid)
+        this.syncBases.delete(uuid)
 
-            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_SYNCED_DATA))
-                await callback.call(this, data.uuid, proxy)
+    }
 
-        }
+    /**
+     * Call a procedure registered on the connected peer, see Network.call()
+     */
+    call(name: string, args: any[] = []): Promise<any> {
 
-        else if (typeof data === 'object' && data.evt === 'Network$CHANGESYNC') {
+        return new Promise((resolve, reject) => {
 
-            let object = unproxyfy(this.network.syncedObjects.get(data.uuid))
+            let id = this.#callID++
 
-            let path: (string | symbol)[] = [...data.path]
-            while (path.length > 1)
-                object = object[path.shift()!]
+            let timeoutID = setTimeout(() => {
 
-            object[path.pop()!] = data.value
+                this.pendingCalls.delete(id)
+                reject(`Call to "${name}" on "${this.id}" timed out`)
 
-            if (this.receiver) {
-                this.network.sendToAllExcept(this.id, data)
+            }, this.network.callTimeout)
 
-                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_SYNCED_DATA_CHANGED))
-                    await callback.call(this, data.uuid, data.path, data.value)
-            }
-            else
-                for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_SYNCED_DATA_CHANGED))
-                    await callback.call(this, data.uuid, data.path, data.value)
+            this.pendingCalls.set(id, { name, resolve, reject, timeoutID })
 
-        }
+            this.send({ evt: 'Network$CALL', id, name, args })
 
-        else if (typeof data === 'object' && data.evt === 'Network$UNSYNC') {
+        })
 
-            if (!this.network.syncedObjects.has(data.uuid)) return
+    }
 
-            let unproxyfiedObject = unproxyfy(this.network.syncedObjects.get(data.uuid))
+    /**
+     * Removes the connection from Network.connections, deletes the timeout interval,
+     *    rejects every pending call and ends the media calls
+     */
+    clean(): void {
 
-            this.network.syncedObjects.delete(data.uuid)
+        let registered = this.network.connections.get(this.id) === this
 
-            for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_UNSYNCED_DATA))
-                await callback.call(this, unproxyfiedObject)
+        clearInterval(this.intervalID)
 
-        }
+        if (this.#authenticationTimeoutID) clearTimeout(this.#authenticationTimeoutID)
+        if (this.#drainTimeoutID) clearTimeout(this.#drainTimeoutID)
+        if (this.#ackTimeoutID) clearTimeout(this.#ackTimeoutID)
+        if (this.#retransmitTimeoutID) clearTimeout(this.#retransmitTimeoutID)
 
-        else {
+        this.#ackTimeoutID = this.#retransmitTimeoutID = null
+        this.lossyConnection?.close()
 
-            if (this.receiver)
-                for (let callback of this.network.getCallbacks(NetworkEvent.HOST_P2P_RECEIVED_DATA))
-                    await callback.call(this, data)
+        this.#queue = []
 
-            else
-                for (let callback of this.network.getCallbacks(NetworkEvent.CLIENT_P2P_RECEIVED_DATA))
-                    await callback.call(this, data)
-        }
+        for (let [id, pendingCall] of this.pendingCalls) {
 
+            clearTimeout(pendingCall.timeoutID)
+            pendingCall.reject(`Connection with "${this.id}" closed before "${pendingCall.name}" returned`)
 
+        }
 
-    }
+        this.pendingCalls.clear()
 
-    get id() { return this.connection.peer }
+        for (let mediaCall of [...this.mediaCalls.values()])
+            mediaCall.end(false)
 
-    /**
-     * Removes the connection from Network.connections and deletes the timeout interval
-     */
-    clean(): void {
+        // Departures are only shared through the heartbeat so that a host tearing down
+        //    its connections does not leave clients with different rosters
+        if (registered) {
 
-        clearInterval(this.intervalID)
+            this.network.connections.delete(this.id)
+            this.network.pauseTransfers(this.id)
 
-        this.network.connections.delete(this.id)
+        }
 
     }
 
     /**
-     * Sends a closing message to the connected peer and closes the connection with it
+     * Sends a closing message with the given reason and code to the connected peer and closes the connection with it
      */
-    close(): void {
+    close(reason?: string, code: CloseCode = CloseCode.NORMAL): void {
+
+        this.closeInfo ??= { code, reason: reason ?? closeReasons[code], initiatedBy: this.network.id }
 
-        this.connection.send('Network$CLOSE')
+        this.send({ evt: 'Network$CLOSE', code: this.closeInfo.code, reason: this.closeInfo.reason })
 
         setTimeout(() => { this.connection.close() }, 250)
 
@@ -638,10 +4597,10 @@ export class NetworkConnection {
     /**
      * Execute the function this.clean() and this.close()
      */
-    cleanclose() {
+    cleanclose(reason?: string, code?: CloseCode) {
 
         this.clean()
-        this.close()
+        this.close(reason, code)
 
     }
 
@@ -0,0 +1,353 @@
+import { Network, applyChange, moveItem } from "./Network.js"
+import { LoopbackConnection, LoopbackPeer, LoopbackTransport } from "./LoopbackTransport.js"
+
+/**
+ * Something that happened on a connection, or a mark added by the application:
+ * - 'in' and 'out' carry a message received from or sent to the peer, as handled by the Network,
+ *    the chunks of transfers being kept without their data but with its size
+ * - 'open' carries whether the peer initiated the connection and the metadata of the connection
+ * - 'close' carries the CloseInfo of the connection
+ * - 'local' carries a synced object created, changed or unsynced by the recorded peer itself, as a sync message
+ * - 'mark' carries whatever was given to recorder.mark()
+ */
+export interface RecordingEntry {
+    time: number // Time in ms since the start of the recording
+    type: 'in' | 'out' | 'open' | 'close' | 'local' | 'mark'
+    peer: string | null
+    data: any
+}
+
+/**
+ * Portable form of a recording, obtained with recorder.export()
+ */
+export interface Recording {
+    format: 1
+    id: string | null // Id of the recorded peer
+    role: 'host' | 'client' | 'mesh'
+    start: number // Date of the start of the recording
+    entries: RecordingEntry[]
+}
+
+/**
+ * Returns a copy of a value as it would be once saved
+ */
+function portable(value: any): any {
+
+    return value === undefined ? null : JSON.parse(JSON.stringify(value))
+
+}
+
+/**
+ * Returns a promise resolving after the given time in ms
+ */
+function sleep(time: number): Promise<void> {
+
+    return new Promise(resolve => setTimeout(resolve, time))
+
+}
+
+/**
+ * Resolves once the condition holds, rejects after the given time in ms
+ */
+async function until(condition: () => boolean, timeout: number = 5000): Promise<void> {
+
+    for (let start = Date.now(); !condition(); await sleep(1))
+        if (Date.now() - start > timeout) throw 'Replay timed out'
+
+}
+
+/**
+ * The Recorder class logs the messages going through the connections of a network, with their time and peer.
+ * Recording is opt-in: create a Recorder for the network and start() it.
+ */
+export class Recorder {
+
+    network: Network
+    entries: RecordingEntry[] = []
+    startTime: number = Date.now()
+    recording: boolean = false
+    maxEntries: number = 100000 // The oldest entries are dropped past this number, a few at a time
+
+    constructor(network: Network) {
+
+        this.network = network
+
+        network.recorder = this
+
+    }
+
+    /**
+     * Start recording, from scratch unless resume is true
+     */
+    start(resume: boolean = false): void {
+
+        if (!resume) {
+
+            this.entries = []
+            this.startTime = Date.now()
+
+        }
+
+        this.recording = true
+
+    }
+
+    stop(): void {
+
+        this.recording = false
+
+    }
+
+    /**
+     * Log an entry, called by the Network
+     */
+    record(type: RecordingEntry['type'], peer: string | null, data: any): void {
+
+        if (!this.recording) return
+
+        // The payload of a transfer is not needed to understand a session and would fill the recording
+        if (data?.evt === 'Network$CHUNK' && typeof data.data === 'string')
+            data = { evt: data.evt, id: data.id, index: data.index, size: data.data.length }
+
+        this.entries.push({ time: Date.now() - this.startTime, type, peer, data: portable(data) })
+
+        // Dropped by batches of an eighth, so that the entries are not all moved on every new one
+        if (this.entries.length >= this.maxEntries + Math.max(1, this.maxEntries >> 3))
+            this.entries.splice(0, this.entries.length - this.maxEntries)
+
+    }
+
+    /**
+     * Add an entry of the application, to find a moment of the session in the recording
+     */
+    mark(data: any): void {
+
+        this.record('mark', this.network.id, data)
+
+    }
+
+    /**
+     * Returns the recording in a form that can be saved as JSON
+     */
+    export(): Recording {
+
+        return {
+            format: 1,
+            id: this.network.id,
+            role: this.network.isHosting ? 'host' : this.network.isMesh ? 'mesh' : 'client',
+            start: this.startTime,
+            entries: portable(this.entries.slice(Math.max(0, this.entries.length - this.maxEntries)))
+        }
+
+    }
+
+    /**
+     * Returns everything needed to look into a problem: the recording and the synced objects as they are now
+     */
+    report(description: string = ''): { description: string, time: number, recording: Recording, snapshot: any } {
+
+        return { description, time: Date.now(), recording: this.export(), snapshot: this.network.snapshot() }
+
+    }
+
+}
+
+/**
+ * The Replayer class feeds a recording into a network using a LoopbackTransport, step by step.
+ * Every remote peer of the recording is played by a loopback peer sending the messages the recorded peer received,
+ *    so that they go through the same handling, while the changes the recorded peer made itself are made again.
+ * The messages the recorded peer sent are not replayed, the network sends its own.
+ */
+export class Replayer {
+
+    network: Network
+    recording: Recording
+    index: number = 0 // Next entry to replay
+    settleTime: number = 5 // Time in ms given to the network to handle each message
+
+    #puppets: Map<string, { peer: LoopbackPeer, connection: LoopbackConnection | null }> = new Map()
+    #intervalID: ReturnType<typeof setInterval> | null = null
+
+    /**
+     * The network should not be started yet, it is given a LoopbackTransport if it has no transport
+     */
+    constructor(network: Network, recording: Recording) {
+
+        if (recording?.format !== 1 || !Array.isArray(recording.entries)) throw 'Invalid recording'
+
+        network.transport ??= new LoopbackTransport()
+
+        if (!(network.transport instanceof LoopbackTransport)) throw 'Replaying needs a LoopbackTransport'
+
+        this.network = network
+        this.recording = recording
+
+    }
+
+    get transport(): LoopbackTransport { return this.network.transport as LoopbackTransport }
+
+    get done(): boolean { return this.index >= this.recording.entries.length }
+
+    /**
+     * Start the network under the id of the recorded peer, in its role
+     */
+    async start(): Promise<void> {
+
+        this.network.start(this.recording.id ?? '')
+
+        await until(() => this.network.id !== null)
+
+        this.network.useWhitelist = false
+
+        if (this.recording.role === 'host') this.network.enableHosting()
+        else if (this.recording.role === 'mesh') this.network.enableMesh()
+
+        // Time does not flow as it did while recording, replayed connections must not time out between two steps
+        this.#intervalID = setInterval(() => {
+
+            for (let networkConnection of this.network.connections.values())
+                networkConnection.timer.reset()
+
+        }, 1000)
+
+    }
+
+    /**
+     * Replay the next entry, resolves to it once the network handled it, or to null at the end of the recording
+     */
+    async step(): Promise<RecordingEntry | null> {
+
+        if (this.done) return null
+
+        let entry = this.recording.entries[this.index++]
+
+        if (entry.type === 'open' && entry.peer !== null) await this.#open(entry.peer, entry.data)
+
+        // Chunks are recorded without their data, transfers cannot be replayed
+        else if (entry.type === 'in' && entry.peer !== null && !(entry.data?.evt === 'Network$CHUNK' && entry.data.data === undefined)) {
+
+            this.#puppets.get(entry.peer)?.connection?.send(entry.data)
+            await sleep(this.settleTime)
+
+        }
+
+        else if (entry.type === 'local') await this.#local(entry.data)
+
+        else if (entry.type === 'close' && entry.peer !== null) {
+
+            let puppet = this.#puppets.get(entry.peer)
+
+            puppet?.connection?.close()
+            if (puppet) puppet.connection = null
+
+            await sleep(this.settleTime)
+
+        }
+
+        return entry
+
+    }
+
+    /**
+     * Replay the entries until the given time of the recording, the whole recording by default.
+     * With a speed, the entries are replayed at their pace multiplied by it, otherwise as fast as possible.
+     */
+    async play(end: number = Infinity, speed: number = 0): Promise<void> {
+
+        let last = this.index ? this.recording.entries[this.index - 1].time : 0
+
+        while (!this.done && this.recording.entries[this.index].time <= end) {
+
+            let time = this.recording.entries[this.index].time
+
+            if (speed > 0) await sleep((time - last) / speed)
+
+            last = time
+
+            await this.step()
+
+        }
+
+    }
+
+    /**
+     * Destroy the network and the peers playing the remote ones
+     */
+    stop(): void {
+
+        if (this.#intervalID) clearInterval(this.#intervalID)
+
+        this.#intervalID = null
+
+        for (let { peer } of this.#puppets.values())
+            peer.destroy()
+
+        this.#puppets.clear()
+
+        this.network.peer?.destroy()
+
+    }
+
+    /**
+     * Make again a change of the recorded peer to its synced objects, through their proxy so that it is shared
+     */
+    async #local(data: any): Promise<void> {
+
+        if (data.evt === 'Network$NEWSYNC')
+            await this.network.restore({ format: 1, time: 0, objects: [{ uuid: data.uuid, data: data.object, version: data.version, options: data.options }] })
+
+        else if (data.evt === 'Network$UNSYNC')
+            await this.network.unsync(data.uuid)
+
+        else if (data.evt === 'Network$CHANGESYNC' && this.network.syncedObjects.has(data.uuid)) {
+
+            let proxy = this.network.syncedObjects.get(data.uuid)
+
+            if (data.operation.type === 'move') moveItem(data.path.reduce((object: any, segment: any) => object[segment], proxy), data.operation.from, data.operation.to)
+            else applyChange(proxy, data.path, data.value, data.operation)
+
+        }
+
+        await sleep(this.settleTime)
+
+    }
+
+    /**
+     * Returns the peer playing the given recorded one
+     */
+    async #puppet(id: string): Promise<{ peer: LoopbackPeer, connection: LoopbackConnection | null }> {
+
+        let puppet = this.#puppets.get(id)
+
+        if (puppet) return puppet
+
+        let peer = this.transport.createPeer(id)
+
+        puppet = { peer, connection: null }
+
+        // Connections opened by the network
+        peer.on('connection', (connection: LoopbackConnection) => puppet!.connection = connection)
+
+        this.#puppets.set(id, puppet)
+
+        await until(() => !peer.disconnected)
+
+        return puppet
+
+    }
+
+    /**
+     * Open the connection as it was opened while recording, by the remote peer if data.receiver is true
+     */
+    async #open(id: string, data: any): Promise<void> {
+
+        let puppet = await this.#puppet(id)
+
+        if (data?.receiver) puppet.connection = puppet.peer.connect(this.network.id!, { metadata: data.metadata, serialization: 'json', reliable: true })
+        else this.network.connectTo(id)
+
+        await until(() => !!puppet.connection?.open && this.network.connections.has(id))
+
+    }
+
+}
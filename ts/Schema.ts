@@ -0,0 +1,120 @@
+/**
+ * Describes the expected shape of a message:
+ * - a type name: 'string', 'number', 'integer', 'boolean', 'object', 'array', 'null' or 'any',
+ *    several can be given separated by '|', and a trailing '?' also accepts undefined
+ * - [schema] an array whose every item matches schema
+ * - { key: schema } an object whose properties match their schema, other properties are allowed
+ * - a function returning true if the value is valid
+ */
+export type Schema = string | [Schema] | { [key: string]: Schema } | ((value: any) => boolean)
+
+/**
+ * Returns true if the value is of the given type name
+ */
+function isType(value: any, type: string): boolean {
+
+    switch (type) {
+
+        case 'any': return true
+        case 'null': return value === null
+        case 'string': return typeof value === 'string'
+        case 'boolean': return typeof value === 'boolean'
+        case 'number': return Number.isFinite(value)
+        case 'integer': return Number.isInteger(value)
+        case 'array': return Array.isArray(value)
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value)
+
+    }
+
+    throw `Unknown schema type "${type}"`
+
+}
+
+const typeNames: Set<string> = new Set(['any', 'null', 'string', 'boolean', 'number', 'integer', 'array', 'object'])
+
+/**
+ * Throws if the schema uses an unknown type name or is not shaped as described by Schema
+ */
+export function checkSchema(schema: Schema): void {
+
+    if (typeof schema === 'function') return
+
+    if (typeof schema === 'string') {
+
+        for (let type of (schema.endsWith('?') ? schema.slice(0, -1) : schema).split('|'))
+            if (!typeNames.has(type)) throw `Unknown schema type "${type}"`
+
+        return
+
+    }
+
+    if (Array.isArray(schema)) {
+
+        if (schema.length !== 1) throw 'An array schema should hold a single schema'
+
+        return checkSchema(schema[0])
+
+    }
+
+    if (typeof schema !== 'object' || schema === null) throw `Invalid schema ${String(schema)}`
+
+    for (let key of Object.keys(schema))
+        checkSchema(schema[key])
+
+}
+
+/**
+ * Check a value against a schema, returns a description of the first mismatch or null if the value is valid
+ */
+export function validate(value: any, schema: Schema, path: string = 'data'): string | null {
+
+    if (typeof schema === 'function')
+        return schema(value) ? null : `${path} is invalid`
+
+    if (typeof schema === 'string') {
+
+        let optional = schema.endsWith('?')
+        let types = (optional ? schema.slice(0, -1) : schema).split('|')
+
+        if (value === undefined && optional) return null
+
+        return types.some(type => isType(value, type)) ? null : `${path} should be ${types.join(' or ')}`
+
+    }
+
+    if (Array.isArray(schema)) {
+
+        if (!Array.isArray(value)) return `${path} should be array`
+
+        for (let index = 0; index < value.length; index++) {
+
+            let error = validate(value[index], schema[0], `${path}[${index}]`)
+            if (error !== null) return error
+
+        }
+
+        return null
+
+    }
+
+    if (!isType(value, 'object')) return `${path} should be object`
+
+    for (let key of Object.keys(schema)) {
+
+        let error = validate(value[key], schema[key], `${path}.${key}`)
+        if (error !== null) return error
+
+    }
+
+    return null
+
+}
+
+/**
+ * Returns a schema also accepting undefined
+ */
+export function optional(schema: Schema): Schema {
+
+    return (value: any) => value === undefined || validate(value, schema) === null
+
+}
@@ -0,0 +1,420 @@
+import type { Network, NetworkConnection } from "./Network.js"
+import { Schema, validate } from "./Schema.js"
+
+/**
+ * A difference between two states of a simulation, the path leads to the value that changed
+ */
+export interface StateChange {
+    path: (string | number)[]
+    value: any
+    operation: { type: 'set' | 'delete' }
+}
+
+export interface SimulationOptions<State, Input> {
+
+    /**
+     * Advance the state by one tick given the input of every peer, mutating it.
+     * It is run by the host and, to predict their own state, by the clients: it should be deterministic.
+     */
+    step: (state: State, inputs: Map<string, Input>, tick: number) => void
+
+    /**
+     * Initial state, only used by the host
+     */
+    state?: State
+
+    tickRate?: number // Ticks per second
+    snapshotInterval?: number // Ticks between two snapshots sent by the host
+    keyframeInterval?: number // Snapshots between two full ones, the others only carry what changed, 0 always sends full ones
+    inputLead?: number // Ticks clients send their inputs ahead of the host, on top of half their round trip time
+    inputSchema?: Schema // Inputs not matching it are dropped by the host
+    predict?: boolean // Clients apply their own inputs without waiting for the host
+    interpolationDelay?: number // Time in ms remote states are rendered behind the host
+
+    /**
+     * Blend two states of the host for rendering, alpha going from 0 for from to 1 for to
+     */
+    interpolate?: (from: State, to: State, alpha: number) => State
+
+    onTick?: (tick: number, state: State) => void // Called after every tick, with the predicted state on the clients
+    onSnapshot?: (tick: number, state: State) => void // Called on the clients for every snapshot of the host
+
+}
+
+/**
+ * Returns a deep copy of a JSON like value
+ */
+function clone<T>(value: T): T {
+
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+
+}
+
+/**
+ * Returns the changes turning from into to
+ */
+export function diffState(from: any, to: any, path: (string | number)[] = [], changes: StateChange[] = []): StateChange[] {
+
+    if (from === to) return changes
+
+    if (typeof from !== 'object' || typeof to !== 'object' || from === null || to === null ||
+        Array.isArray(from) !== Array.isArray(to) || (Array.isArray(to) && from.length !== to.length)) {
+
+        changes.push({ path, value: to, operation: { type: 'set' } })
+        return changes
+
+    }
+
+    for (let key of Object.keys(from))
+        if (!(key in to)) changes.push({ path: [...path, key], value: undefined, operation: { type: 'delete' } })
+
+    for (let key of Object.keys(to))
+        diffState(from[key], to[key], [...path, key], changes)
+
+    return changes
+
+}
+
+/**
+ * Apply changes obtained with diffState(), returns the updated state
+ */
+export function patchState(state: any, changes: StateChange[]): any {
+
+    for (let { path, value, operation } of changes) {
+
+        if (!path.length) {
+
+            state = value
+            continue
+
+        }
+
+        let object = state
+
+        for (let segment of path.slice(0, -1))
+            object = object[segment]
+
+        if (operation.type === 'delete') delete object[path[path.length - 1]]
+        else object[path[path.length - 1]] = value
+
+    }
+
+    return state
+
+}
+
+/**
+ * The Simulation class runs a fixed-rate simulation with the host as the authority.
+ * Clients send their input for every tick ahead of time, the host applies the inputs of every peer
+ *    at their tick and broadcasts snapshots of the state. Clients predict their own state by applying
+ *    their inputs right away, and replay the inputs not yet simulated by the host on top of every snapshot.
+ * Remote states are rendered slightly in the past, between the two surrounding snapshots.
+ */
+export class Simulation<State = any, Input = any> {
+
+    network: Network
+    options: SimulationOptions<State, Input>
+
+    tickRate: number
+    tick: number = 0 // Last simulated tick on the host, last predicted tick on a client
+    startTime: number | null = null // Time of tick 0 on the clock of the host
+    running: boolean = false
+
+    state: State | undefined // Authoritative state, as of the last snapshot on a client
+    predicted: State | undefined // State of a client including its own inputs not yet simulated by the host
+    input: Input | undefined // Input of this peer, sent for every tick
+
+    inputs: Map<number, Map<string, Input>> = new Map() // Inputs received by the host for the coming ticks
+    lastInputs: Map<string, Input> = new Map() // Last input of every peer on the host, reused when one is missing
+
+    confirmedTick: number = -1 // Tick of the last snapshot received by a client
+    pendingInputs: { tick: number, input: Input }[] = [] // Inputs of a client not yet simulated by the host
+    snapshots: { tick: number, state: State }[] = [] // Snapshots kept by a client for interpolation
+
+    #timeoutID: ReturnType<typeof setTimeout> | null = null
+    #snapshotCount: number = 0
+    #lastSnapshot: State | undefined
+    #lastSnapshotTick: number = -1
+    #peers: Set<string> = new Set()
+
+    constructor(network: Network, options: SimulationOptions<State, Input>) {
+
+        this.network = network
+        this.options = options
+        this.tickRate = options.tickRate ?? 20
+        this.state = clone(options.state)
+
+        network.simulation = this
+
+    }
+
+    get tickDuration(): number { return 1000 / this.tickRate }
+
+    /**
+     * Returns the tick the host is currently at
+     */
+    currentTick(): number {
+
+        return Math.floor((this.network.hostTime() - (this.startTime ?? 0)) / this.tickDuration)
+
+    }
+
+    /**
+     * Start ticking, a client actually starts once it received the first snapshot of the host
+     */
+    start(): void {
+
+        if (this.network.isMesh) throw 'Simulations need a host'
+
+        this.running = true
+
+        if (this.network.isHosting) {
+
+            this.startTime ??= Date.now() - this.tick * this.tickDuration
+            this.#schedule()
+
+        } else if (this.startTime !== null) {
+
+            this.tick = Math.max(this.tick, this.#targetTick() - 1)
+            this.#schedule()
+
+        }
+
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop(): void {
+
+        this.running = false
+
+        if (this.#timeoutID) clearTimeout(this.#timeoutID)
+
+        this.#timeoutID = null
+
+    }
+
+    /**
+     * Set the input of this peer, sent for every tick until it changes
+     */
+    setInput(input: Input): void {
+
+        this.input = input
+
+    }
+
+    /**
+     * Number of ticks a client simulates ahead of the host, so that its inputs reach the host in time
+     */
+    #lead(): number {
+
+        if (this.network.isHosting) return 0
+
+        let host = [...this.network.connections.values()].find(connection => !connection.receiver)
+
+        return Math.ceil((host?.rtt ?? 0) / 2 / this.tickDuration) + (this.options.inputLead ?? 1)
+
+    }
+
+    #targetTick(): number {
+
+        return this.currentTick() + this.#lead()
+
+    }
+
+    #schedule(): void {
+
+        let next = this.startTime! + (this.tick + 1 - this.#lead()) * this.tickDuration
+
+        this.#timeoutID = setTimeout(() => this.#run(), Math.max(0, next - this.network.hostTime()))
+
+    }
+
+    #run(): void {
+
+        this.#timeoutID = null
+
+        if (!this.running) return
+
+        let target = this.#targetTick()
+
+        // Catch up after the process has been busy, without trying to replay a long pause
+        for (let steps = 0; this.tick < target && steps < 5; steps++) {
+
+            if (this.network.isHosting) this.#hostTick()
+            else this.#clientTick()
+
+        }
+
+        if (this.tick < target) this.tick = target
+
+        this.#schedule()
+
+    }
+
+    #hostTick(): void {
+
+        this.tick++
+
+        for (let id of this.lastInputs.keys())
+            if (id !== this.network.id && !this.network.connections.has(id)) this.lastInputs.delete(id)
+
+        for (let [id, input] of this.inputs.get(this.tick) ?? [])
+            this.lastInputs.set(id, input)
+
+        this.inputs.delete(this.tick)
+
+        if (this.input !== undefined)
+            this.lastInputs.set(this.network.id!, this.input)
+
+        this.options.step(this.state!, new Map(this.lastInputs), this.tick)
+        this.options.onTick?.(this.tick, this.state!)
+
+        if (this.tick % (this.options.snapshotInterval ?? 1) === 0)
+            this.#snapshot()
+
+    }
+
+    #snapshot(): void {
+
+        let peers = new Set([...this.network.connections.values()].filter(connection => connection.confirmed).map(connection => connection.id))
+        let joined = [...peers].some(id => !this.#peers.has(id))
+
+        this.#peers = peers
+
+        let keyframeInterval = this.options.keyframeInterval ?? 0
+        let keyframe = !keyframeInterval || joined || this.#lastSnapshot === undefined || this.#snapshotCount % keyframeInterval === 0
+
+        let state = clone(this.state!)
+        let message: any = { evt: 'Network$SNAPSHOT', tick: this.tick, start: this.startTime, tickRate: this.tickRate, keyframe }
+
+        if (keyframe) message.state = state
+        else {
+
+            message.delta = diffState(this.#lastSnapshot, state)
+            message.base = this.#lastSnapshotTick
+
+        }
+
+        this.#snapshotCount++
+        this.#lastSnapshot = state
+        this.#lastSnapshotTick = this.tick
+
+        this.network.sendToAll(message)
+
+    }
+
+    #clientTick(): void {
+
+        this.tick++
+
+        if (this.input === undefined) return
+
+        this.pendingInputs.push({ tick: this.tick, input: this.input })
+        this.network.sendToAll({ evt: 'Network$INPUT', tick: this.tick, input: this.input })
+
+        if (this.options.predict === false || this.predicted === undefined) return
+
+        this.options.step(this.predicted, new Map([[this.network.id!, clone(this.input)]]), this.tick)
+        this.options.onTick?.(this.tick, this.predicted)
+
+    }
+
+    /**
+     * Handle the simulation messages received from a peer
+     */
+    receive(networkConnection: NetworkConnection, data: any): void {
+
+        if (data.evt === 'Network$INPUT' && this.network.isHosting) {
+
+            if (this.options.inputSchema && validate(data.input, this.options.inputSchema, 'input') !== null) return
+
+            // Late inputs are applied at the next tick, inputs too far ahead are dropped
+            let tick = Math.max(data.tick, this.tick + 1)
+
+            if (tick > this.tick + this.tickRate) return
+
+            if (!this.inputs.has(tick)) this.inputs.set(tick, new Map())
+            this.inputs.get(tick)!.set(networkConnection.id, data.input)
+
+        }
+
+        else if (data.evt === 'Network$SNAPSHOT' && !networkConnection.receiver) {
+
+            if (data.tick <= this.confirmedTick) return
+
+            // A delta can only be applied on top of the snapshot it has been computed from
+            if (!data.keyframe && data.base !== this.confirmedTick) return
+
+            this.state = data.keyframe ? data.state : patchState(clone(this.state), data.delta)
+            this.confirmedTick = data.tick
+            this.startTime = data.start
+            this.tickRate = data.tickRate
+
+            this.snapshots.push({ tick: data.tick, state: this.state! })
+
+            // Enough snapshots are kept to render one second behind the host
+            while (this.snapshots.length > 2 && this.snapshots[1].tick < data.tick - this.tickRate)
+                this.snapshots.shift()
+
+            this.pendingInputs = this.pendingInputs.filter(({ tick }) => tick > data.tick)
+
+            if (this.options.predict !== false) {
+
+                let predicted = clone(this.state!)
+
+                for (let { tick, input } of this.pendingInputs)
+                    this.options.step(predicted, new Map([[this.network.id!, clone(input)]]), tick)
+
+                this.predicted = predicted
+
+            }
+
+            this.options.onSnapshot?.(data.tick, this.state!)
+
+            if (this.running && !this.#timeoutID) this.start()
+
+        }
+
+    }
+
+    /**
+     * Returns the two snapshots surrounding the time rendered by a client, and how far between them it is
+     */
+    sample(): { from: State, to: State, alpha: number } | null {
+
+        if (!this.snapshots.length) return null
+
+        let time = this.network.hostTime() - (this.options.interpolationDelay ?? 100)
+        let tickTime = (tick: number) => this.startTime! + tick * this.tickDuration
+
+        let index = this.snapshots.findIndex(snapshot => tickTime(snapshot.tick) > time)
+
+        if (index === 0) return { from: this.snapshots[0].state, to: this.snapshots[0].state, alpha: 0 }
+        if (index === -1) return { from: this.snapshots[this.snapshots.length - 1].state, to: this.snapshots[this.snapshots.length - 1].state, alpha: 1 }
+
+        let from = this.snapshots[index - 1], to = this.snapshots[index]
+
+        return { from: from.state, to: to.state, alpha: (time - tickTime(from.tick)) / (tickTime(to.tick) - tickTime(from.tick)) }
+
+    }
+
+    /**
+     * Returns the state to render: the authoritative one on the host, the interpolated one on a client
+     */
+    render(): State | undefined {
+
+        if (this.network.isHosting) return this.state
+
+        let sample = this.sample()
+
+        if (!sample) return undefined
+
+        if (this.options.interpolate) return this.options.interpolate(sample.from, sample.to, sample.alpha)
+
+        return sample.alpha < 0.5 ? sample.from : sample.to
+
+    }
+
+}
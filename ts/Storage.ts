@@ -0,0 +1,157 @@
+import type { SyncWritePermission } from "./Network.js"
+
+/**
+ * Serializable dump of the synced objects of a network, obtained with network.snapshot().
+ * The options which are functions (merge, function permissions or audiences) cannot be saved,
+ *    they are given again when restoring.
+ */
+export interface NetworkSnapshot {
+    format: 1
+    time: number
+    objects: {
+        uuid: string
+        data: any
+        version: number
+        options: { writable?: Exclude<SyncWritePermission, Function>, owner?: string, audience?: string[], room?: string }
+    }[]
+}
+
+/**
+ * The SnapshotStorage interface is where network.save() keeps snapshots, under a key
+ */
+export interface SnapshotStorage {
+
+    save(key: string, snapshot: NetworkSnapshot): Promise<void>
+
+    /**
+     * Returns the snapshot saved under the given key, or null if there is none
+     */
+    load(key: string): Promise<NetworkSnapshot | null>
+
+}
+
+/**
+ * Keeps the snapshots in memory, mostly useful for tests
+ */
+export class MemoryStorage implements SnapshotStorage {
+
+    snapshots: Map<string, string> = new Map()
+
+    async save(key: string, snapshot: NetworkSnapshot): Promise<void> {
+
+        this.snapshots.set(key, JSON.stringify(snapshot))
+
+    }
+
+    async load(key: string): Promise<NetworkSnapshot | null> {
+
+        let snapshot = this.snapshots.get(key)
+
+        return snapshot === undefined ? null : JSON.parse(snapshot)
+
+    }
+
+}
+
+/**
+ * Keeps the snapshots in an IndexedDB database of the browser
+ */
+export class IndexedDBStorage implements SnapshotStorage {
+
+    name: string
+    #database: Promise<IDBDatabase> | null = null
+
+    constructor(name: string = 'peerjs-network') {
+
+        this.name = name
+
+    }
+
+    #open(): Promise<IDBDatabase> {
+
+        return this.#database ??= new Promise((resolve, reject) => {
+
+            let request = indexedDB.open(this.name, 1)
+
+            request.onupgradeneeded = () => request.result.createObjectStore('snapshots')
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+
+        })
+
+    }
+
+    async #request<T>(mode: IDBTransactionMode, operation: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+
+        let database = await this.#open()
+
+        return new Promise((resolve, reject) => {
+
+            let request = operation(database.transaction('snapshots', mode).objectStore('snapshots'))
+
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+
+        })
+
+    }
+
+    async save(key: string, snapshot: NetworkSnapshot): Promise<void> {
+
+        await this.#request('readwrite', store => store.put(snapshot, key))
+
+    }
+
+    async load(key: string): Promise<NetworkSnapshot | null> {
+
+        return await this.#request('readonly', store => store.get(key)) ?? null
+
+    }
+
+}
+
+/**
+ * Keeps the snapshots as JSON files of a directory, in Node.
+ * Files are written aside then renamed, so that a crash while saving leaves the previous snapshot intact.
+ */
+export class FileStorage implements SnapshotStorage {
+
+    directory: string
+
+    constructor(directory: string) {
+
+        this.directory = directory
+
+    }
+
+    #path(key: string): string {
+
+        return `${this.directory}/${encodeURIComponent(key)}.json`
+
+    }
+
+    async save(key: string, snapshot: NetworkSnapshot): Promise<void> {
+
+        let fs = await import(/* webpackIgnore: true */ 'fs/promises')
+
+        await fs.mkdir(this.directory, { recursive: true })
+        await fs.writeFile(this.#path(key) + '.tmp', JSON.stringify(snapshot))
+        await fs.rename(this.#path(key) + '.tmp', this.#path(key))
+
+    }
+
+    async load(key: string): Promise<NetworkSnapshot | null> {
+
+        let fs = await import(/* webpackIgnore: true */ 'fs/promises')
+
+        try { return JSON.parse(await fs.readFile(this.#path(key), 'utf8')) }
+        catch (error: any) {
+
+            if (error?.code === 'ENOENT') return null
+            throw error
+
+        }
+
+    }
+
+}
@@ -0,0 +1,128 @@
+/**
+ * Encode bytes into a base64 string, data channels using the json serialization can only carry strings
+ */
+export function toBase64(bytes: Uint8Array): string {
+
+    let binary = ''
+
+    for (let index = 0; index < bytes.length; index += 0x8000)
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000))
+
+    return btoa(binary)
+
+}
+
+/**
+ * Decode a base64 string into bytes
+ */
+export function fromBase64(base64: string): Uint8Array {
+
+    let binary = atob(base64)
+    let bytes = new Uint8Array(binary.length)
+
+    for (let index = 0; index < binary.length; index++)
+        bytes[index] = binary.charCodeAt(index)
+
+    return bytes
+
+}
+
+/**
+ * Returns the SHA-256 digest of the given bytes as an hexadecimal string
+ */
+export async function sha256(bytes: Uint8Array): Promise<string> {
+
+    let digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+
+    return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('')
+
+}
+
+/**
+ * The Transfer class holds the state of a large payload sent in chunks to or from a given peer.
+ * The receiving side acknowledges the number of chunks it holds, which is used both
+ *    to limit the amount of chunks in flight and to resume the transfer after a reconnection.
+ */
+export class Transfer {
+
+    id: string
+    peer: string
+    outgoing: boolean
+    kind: 'file' | 'data'
+    meta: any
+    size: number
+    chunkSize: number
+    hash: string
+
+    bytes: Uint8Array
+    sent: number = 0
+    received: number = 0
+
+    window: number = 1 // Number of chunks the sender sends ahead of the last acknowledgement
+    paused: boolean = false
+    pumping: boolean = false
+    verifying: boolean = false
+    resumeTimeoutID: ReturnType<typeof setTimeout> | null = null
+    stallTimeoutID: ReturnType<typeof setTimeout> | null = null
+
+    resolve: (value: void) => void = () => { }
+    reject: (reason: any) => void = () => { }
+
+    constructor(id: string, peer: string, outgoing: boolean, kind: 'file' | 'data', meta: any, size: number, chunkSize: number, hash: string, bytes?: Uint8Array) {
+
+        this.id = id
+        this.peer = peer
+        this.outgoing = outgoing
+        this.kind = kind
+        this.meta = meta
+        this.size = size
+        this.chunkSize = chunkSize
+        this.hash = hash
+        this.bytes = bytes ?? new Uint8Array(size)
+
+    }
+
+    /**
+     * Number of chunks the payload is split into
+     */
+    get chunkCount(): number { return Math.ceil(this.size / this.chunkSize) }
+
+    /**
+     * Number of bytes held by the receiving side
+     */
+    get transferred(): number { return Math.min(this.received * this.chunkSize, this.size) }
+
+    /**
+     * Returns true if every chunk has been received
+     */
+    isComplete(): boolean { return this.received >= this.chunkCount }
+
+    /**
+     * Returns the base64 encoded chunk at the given index
+     */
+    chunk(index: number): string {
+
+        return toBase64(this.bytes.subarray(index * this.chunkSize, (index + 1) * this.chunkSize))
+
+    }
+
+    /**
+     * Store the next chunk, returns false if it is not the one expected.
+     * Throws if the chunk is not valid base64 or is longer than announced.
+     */
+    store(index: number, data: string): boolean {
+
+        if (index !== this.received) return false
+
+        let bytes = fromBase64(data)
+
+        if (bytes.length > Math.min(this.chunkSize, this.size - index * this.chunkSize)) throw `Chunk ${index} is too long`
+
+        this.bytes.set(bytes, index * this.chunkSize)
+        this.received++
+
+        return true
+
+    }
+
+}
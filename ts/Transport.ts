@@ -0,0 +1,148 @@
+/**
+ * The TransportConnection interface describes a data channel between two peers.
+ * It is modeled after the PeerJS DataConnection so that one can be used as is.
+ */
+export interface TransportConnection {
+
+    /**
+     * The id of the remote peer
+     */
+    readonly peer: string
+
+    /**
+     * Metadata given by whoever initiated the connection
+     */
+    readonly metadata?: any
+
+    /**
+     * The underlying data channel if any, used to avoid filling its buffer
+     */
+    readonly dataChannel?: { bufferedAmount: number }
+
+    /**
+     * How data is encoded on the channel, 'binary' channels can carry bytes as is
+     */
+    readonly serialization?: string
+
+    on(event: 'open', callback: () => void): any
+    on(event: 'close', callback: () => void): any
+    on(event: 'data', callback: (data: any) => void): any
+    on(event: 'error', callback: (error: Error) => void): any
+
+    /**
+     * Send data to the remote peer
+     */
+    send(data: any): void
+
+    /**
+     * Close the connection, both sides will receive the 'close' event
+     */
+    close(): void
+
+}
+
+/**
+ * The TransportMediaConnection interface describes an audio/video call between two peers.
+ * It is modeled after the PeerJS MediaConnection so that one can be used as is.
+ */
+export interface TransportMediaConnection {
+
+    /**
+     * The id of the remote peer
+     */
+    readonly peer: string
+
+    /**
+     * Metadata given by the caller
+     */
+    readonly metadata?: any
+
+    on(event: 'stream', callback: (stream: MediaStream) => void): any
+    on(event: 'close', callback: () => void): any
+    on(event: 'error', callback: (error: Error) => void): any
+
+    /**
+     * Accept an incoming call, sending the given stream if any
+     */
+    answer(stream?: MediaStream): void
+
+    /**
+     * End the call, both sides will receive the 'close' event
+     */
+    close(): void
+
+}
+
+/**
+ * Options given when calling another peer
+ */
+export interface TransportCallOption {
+
+    metadata?: any
+
+}
+
+/**
+ * Options given when opening a connection to another peer
+ */
+export interface TransportConnectOption {
+
+    label?: string
+    metadata?: any
+    serialization?: string
+    reliable?: boolean
+
+}
+
+/**
+ * The TransportPeer interface describes the local endpoint registered on a signaling server.
+ * It is modeled after the PeerJS Peer so that one can be used as is.
+ */
+export interface TransportPeer {
+
+    readonly id: string
+    readonly disconnected: boolean
+    readonly destroyed: boolean
+
+    on(event: 'open', callback: (id: string) => void): any
+    on(event: 'connection', callback: (connection: TransportConnection) => void): any
+    on(event: 'call', callback: (call: TransportMediaConnection) => void): any
+    on(event: 'close', callback: () => void): any
+    on(event: 'disconnected', callback: (id: string) => void): any
+    on(event: 'error', callback: (error: Error) => void): any
+
+    /**
+     * Open a connection to the peer with the given id
+     */
+    connect(id: string, options?: TransportConnectOption): TransportConnection
+
+    /**
+     * Call the peer with the given id, sending the given stream.
+     * Transports without media support do not implement it.
+     */
+    call?(id: string, stream: MediaStream, options?: TransportCallOption): TransportMediaConnection
+
+    /**
+     * Reconnect to the signaling server with the same id
+     */
+    reconnect(): void
+
+    /**
+     * Close every connection and release the id
+     */
+    destroy(): void
+
+}
+
+/**
+ * The Transport interface is used by the Network to obtain its peer.
+ * Errors emitted by the peer are expected to carry a PeerJS like type ('unavailable-id', 'invalid-id', ...).
+ */
+export interface Transport {
+
+    /**
+     * Create a new peer trying to obtain the given id
+     */
+    createPeer(id: string, options?: any): TransportPeer
+
+}
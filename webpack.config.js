@@ -1,7 +1,13 @@
+import webpack from 'webpack'
+
 export default {
     entry: './main.js',
     output: {
         filename: '../demo/main.js'
     },
+    plugins: [
+        // Transports loaded on demand stay in the single demo bundle
+        new webpack.optimize.LimitChunkCountPlugin({ maxChunks: 1 })
+    ],
     mode: "development"
-}
\ No newline at end of file
+}